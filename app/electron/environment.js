@@ -0,0 +1,59 @@
+// Startup check of the git and git-lfs installations the app relies on
+
+const fs = require('fs');
+const os = require('os');
+const { compare, validate } = require('compare-versions');
+const fixPath = require('fix-path');
+const { run } = require('./run');
+
+fixPath();
+
+// git 2.13 is the first with `git stash push -- <paths>`; git-lfs 2.0 introduced file locking
+const REQUIREMENTS = {
+  git: { args: ['--version'], pattern: /git version (\d+\.\d+\.\d+)/, minimum: '2.13.0' },
+  lfs: { args: ['lfs', 'version'], pattern: /git-lfs\/(\d+\.\d+\.\d+)/, minimum: '2.0.0' },
+};
+
+async function checkTool({ args, pattern, minimum }, executables) {
+  try {
+    const { stdout } = await run(os.homedir(), 'git', args, { executables });
+    const [, version] = stdout.match(pattern) || [];
+    if (!version || !validate(version)) {
+      return { found: true, version: stdout.trim(), minimum, ok: false };
+    }
+    return { found: true, version, minimum, ok: compare(version, minimum, '>=') };
+  } catch (err) {
+    return { found: false, minimum, ok: false, error: err.message };
+  }
+}
+
+// Resolves to { ok, git: { found, version, minimum, ok, error }, lfs: { ... } }.
+// Checks the configured executables unless other { gitPath, gitLfsPath } are given.
+async function checkEnvironment(executables) {
+  const git = await checkTool(REQUIREMENTS.git, executables);
+  // `git lfs` cannot run without git
+  const lfs = git.found
+    ? await checkTool(REQUIREMENTS.lfs, executables)
+    : { found: false, minimum: REQUIREMENTS.lfs.minimum, ok: false };
+  return { ok: git.ok && lfs.ok, git, lfs };
+}
+
+// Rejects unless filePath is an executable file reporting a git (key 'gitPath') or git-lfs ('gitLfsPath') version
+async function verifyExecutable(key, filePath) {
+  const requirement = key === 'gitLfsPath' ? REQUIREMENTS.lfs : REQUIREMENTS.git;
+  const stat = await fs.promises.stat(filePath);
+  if (!stat.isFile()) {
+    throw new Error(`${filePath} is not a file`);
+  }
+  if (process.platform !== 'win32') {
+    await fs.promises.access(filePath, fs.constants.X_OK);
+  }
+  // git-lfs is asked directly: through git it would report whatever git-lfs is on the PATH
+  const args = key === 'gitLfsPath' ? requirement.args.slice(1) : requirement.args;
+  const { stdout } = await run(os.homedir(), filePath, args);
+  if (!requirement.pattern.test(stdout)) {
+    throw new Error(`${filePath} does not report a ${key === 'gitLfsPath' ? 'git-lfs' : 'git'} version`);
+  }
+}
+
+module.exports = { checkEnvironment, verifyExecutable };
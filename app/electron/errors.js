@@ -0,0 +1,107 @@
+// Errors raised by the git layer. They carry a machine-readable code so the UI
+// can explain what went wrong instead of echoing stderr.
+
+class GitError extends Error {
+  constructor(code, message, { path, owner, command, exitCode, stderr } = {}) {
+    super(message);
+    this.name = 'GitError';
+    this.code = code;
+    this.path = path;
+    this.owner = owner;
+    this.command = command;
+    this.exitCode = exitCode;
+    this.stderr = stderr;
+    this.hint = HINTS[code];
+  }
+}
+
+const NETWORK_PATTERN = /could not resolve host|connection (refused|reset|timed out)|timed out|failed to connect|unable to access|network is unreachable/i;
+const LOCKED_PATTERN = /lock exists|already (been )?locked|locked by|owned by/i;
+
+// First match wins, so the more specific patterns come first
+const PATTERNS = [
+  ['lfs-missing', /'lfs' is not a git command|git-lfs: (command )?not found|git-lfs.*no such file/i],
+  ['git-missing', /git: (command )?not found|'git' is not recognized/i],
+  ['not-admin', /admin (access|rights|permission)|must be an admin|(access|permission) to (force )?(delete|unlock)|other users'? locks/i],
+  ['auth-failed', /authentication failed|could not read (username|password)|permission denied \(publickey|invalid credentials|\b401\b|\b403\b/i],
+  ['remote-not-found', /repository not found|does not appear to be a git repository|no such remote|couldn't find remote ref/i],
+  ['locked-by-other', LOCKED_PATTERN],
+  ['network', NETWORK_PATTERN],
+  ['not-a-repository', /not a git repository/i],
+];
+
+// Translation keys the renderer shows next to the raw message
+const HINTS = {
+  'git-missing': 'Git could not be found. Install it or check your PATH.',
+  'lfs-missing': 'Git LFS is not installed. Install it and run "git lfs install".',
+  'auth-failed': 'Authentication failed. Check your credentials for this remote.',
+  'remote-not-found': 'The remote repository could not be found. Check the remote URL.',
+  'locked-by-other': 'The file is already locked by someone else.',
+  'not-admin': 'Only repository admins can unlock files locked by someone else.',
+  'network': 'The server could not be reached. Check your network connection.',
+  'not-a-repository': 'The folder is not a Git repository.',
+  'not-lockable': 'The file is not lockable. Check your Git attributes.',
+  'dirty': 'The file has local changes. Stash or discard them first.',
+  'missing': 'The file does not exist in your working tree.',
+  'tip-conflict': 'The file was changed on the assets tip by someone else. Merge it before unlocking.',
+  'still-locked': 'The file could not be synced from the assets tip and is still locked by you. Unlock it once you are done with it.',
+};
+
+function classify(output) {
+  const match = PATTERNS.find(([, pattern]) => pattern.test(output || ''));
+  return match ? match[0] : 'unknown';
+}
+
+// Build a GitError from a finished command; spawnError is set when the binary could not be started
+function commandError({ command, exitCode, stdout = '', stderr = '', path, spawnError }) {
+  if (spawnError) {
+    const code = spawnError.code === 'ENOENT'
+      ? (/lfs/.test(command) ? 'lfs-missing' : 'git-missing')
+      : 'unknown';
+    return new GitError(code, spawnError.message, { path, command });
+  }
+  const output = `${stderr}`.trim() || `${stdout}`.trim();
+  return new GitError(classify(output), output || `${command} failed (${exitCode})`, {
+    path,
+    command,
+    exitCode,
+    stderr: `${stderr}`,
+  });
+}
+
+// Per-file failure of a batch: the error fields as a plain object, tied to the file
+function failure(err, path) {
+  const e = err instanceof GitError ? err : new GitError('unknown', err.message || String(err));
+  return { ...serializeError(e), path };
+}
+
+// Errors lose their custom properties when crossing the context bridge,
+// so the preload hands them to the renderer as plain objects
+function serializeError(err) {
+  if (err instanceof GitError) {
+    return {
+      name: err.name,
+      code: err.code,
+      message: err.message,
+      path: err.path,
+      owner: err.owner,
+      command: err.command,
+      exitCode: err.exitCode,
+      stderr: err.stderr,
+      hint: err.hint,
+    };
+  }
+  if (err instanceof Error) {
+    return { name: err.name, message: err.message };
+  }
+  return err;
+}
+
+module.exports = {
+  GitError,
+  HINTS,
+  classify,
+  commandError,
+  failure,
+  serializeError,
+};
@@ -0,0 +1,52 @@
+// The git and git-lfs executables every git command is run with.
+// Both default to whatever is on the PATH; users can point the app at a portable install instead.
+
+const fs = require('fs');
+const path = require('path');
+
+let config = {};
+
+function configure({ gitPath, gitLfsPath } = {}) {
+  config = { gitPath: gitPath || undefined, gitLfsPath: gitLfsPath || undefined };
+}
+
+function current() {
+  return { ...config };
+}
+
+function gitBinary(options = config) {
+  return options.gitPath || 'git';
+}
+
+// git finds git-lfs on the PATH, so a custom git-lfs is made visible by putting its folder first
+function gitEnv(options = config) {
+  if (!options.gitLfsPath) {
+    return process.env;
+  }
+  // Windows spells it "Path"
+  const key = Object.keys(process.env).find(k => k.toUpperCase() === 'PATH') || 'PATH';
+  return {
+    ...process.env,
+    [key]: [path.dirname(options.gitLfsPath), process.env[key]].join(path.delimiter),
+  };
+}
+
+// Saved by the main process next to the settings store rather than in it: the renderer can write to the store
+function settingsFile(dir) {
+  return path.join(dir, 'executables.json');
+}
+
+function load(dir) {
+  try {
+    const { gitPath, gitLfsPath } = JSON.parse(fs.readFileSync(settingsFile(dir), 'utf8'));
+    return { gitPath, gitLfsPath };
+  } catch (err) {
+    return {};
+  }
+}
+
+function save(dir, { gitPath, gitLfsPath }) {
+  return fs.promises.writeFile(settingsFile(dir), JSON.stringify({ gitPath, gitLfsPath }));
+}
+
+module.exports = { configure, current, gitBinary, gitEnv, load, save };
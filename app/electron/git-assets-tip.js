@@ -1,36 +1,31 @@
 // Node helpers to "lock from assets-tip" and "publish to assets-tip then unlock"
 
-const { spawn } = require('child_process');
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
 const { normPath, joinRepo } = require('./paths');
+const { run } = require('./run');
+const { isLockable, lockEach, unlockEach, single } = require('./git-plain');
+const { GitError, failure } = require('./errors');
 
-function run(repo, cmd, args, { allowFail = false, cwd } = {}) {
-  return new Promise((resolve, reject) => {
-    const child = spawn(cmd, args, {
-      cwd: cwd || repo,
-      env: process.env,
-      windowsHide: true,
-    });
-    let out = '', err = '';
-    child.stdout.on('data', d => (out += d));
-    child.stderr.on('data', d => (err += d));
-    child.on('close', code => {
-      if (code !== 0 && !allowFail) {
-        return reject(new Error((err || out || '').trim() || `${cmd} ${args.join(' ')} failed (${code})`));
-      }
-      resolve({ code, stdout: out, stderr: err });
-    });
-  });
-}
-
-async function fetchOrigin(repo, refs = []) {
+async function fetchRemote(repo, remote, refs = []) {
   // Keep it quiet & fast; ensure assets-tip exists locally if used
-  const args = ['fetch', '-q', 'origin', ...refs];
+  const args = ['fetch', '-q', remote, ...refs];
   await run(repo, 'git', args);
 }
 
+// Resolve the per-repository tip settings into the remote, branch and remote-tracking ref
+function tipOf({ remote = 'origin', tipBranch = 'assets-tip' } = {}) {
+  return { remote, branch: tipBranch, ref: `${remote}/${tipBranch}` };
+}
+
+// True when the remote has the tip branch, i.e. the repository follows the assets-tip convention
+async function hasTip(repo, opts = {}) {
+  const { remote, branch } = tipOf(opts);
+  const { stdout } = await run(repo, 'git', ['ls-remote', '--heads', remote, branch]);
+  return !!stdout.trim();
+}
+
 async function isPathClean(repo, p) {
   const a = (await run(repo, 'git', ['diff', '--name-only', '--', p])).stdout.trim();
   const b = (await run(repo, 'git', ['diff', '--cached', '--name-only', '--', p])).stdout.trim();
@@ -65,150 +60,290 @@ function uniqueWorktreeDir(repo, name = '.wt-assets-tip') {
   return base;
 }
 
-async function lockMany(repo, paths, { tipRef = 'origin/assets-tip' } = {}) {
+// Work out what lockMany would do for each file without touching the repo.
+// Actions: 'skip-missing', 'skip-dirty', 'skip-not-lockable', 'sync' (checkout from tip + lock), 'lock'
+async function planLock(repo, paths, opts = {}) {
   const files = Array.from(new Set(paths.map(normPath))).filter(Boolean);
   if (!files.length) return [];
 
-  await fetchOrigin(repo, ['assets-tip']);
+  const { remote, branch, ref: tipRef } = tipOf(opts);
+  await fetchRemote(repo, remote, [branch]);
 
-  // Build "candidates" and skip noisy ones (missing/dirty) PER FILE
-  const candidates = [];
+  const plan = [];
   for (const f of files) {
     const abs = joinRepo(repo, f);
-    if (!fs.existsSync(abs)) continue;
+    if (!fs.existsSync(abs)) {
+      plan.push({ path: f, action: 'skip-missing' });
+      continue;
+    }
     if (!(await isPathClean(repo, f))) {
-      // skip: has local changes staged/unstaged
+      // has local changes staged/unstaged
+      plan.push({ path: f, action: 'skip-dirty' });
+      continue;
+    }
+    if (!(await isLockable(repo, f))) {
+      plan.push({ path: f, action: 'skip-not-lockable' });
       continue;
     }
-    candidates.push(f);
-  }
-  if (!candidates.length) return [];
 
-  // Determine which candidates differ vs tipRef and need a sync commit
-  const toUpdate = [];
-  for (const f of candidates) {
+    let action = 'lock';
     if (await existsOnRef(repo, tipRef, f)) {
       const [tipOid, headOid] = await Promise.all([
         revParseBlob(repo, `${tipRef}:${f}`),
         revParseBlob(repo, `HEAD:${f}`).catch(() => ''), // '' if missing in HEAD
       ]);
-      if (tipOid !== headOid) toUpdate.push(f);
+      if (tipOid !== headOid) action = 'sync';
     }
+    plan.push({ path: f, action });
   }
+  return plan;
+}
 
-  if (toUpdate.length) {
-    await run(repo, 'git', ['checkout', tipRef, '--', ...toUpdate]);
-    await run(repo, 'git', ['add', '--', ...toUpdate]);
+// opts.plan: a planLock result reviewed beforehand, carried out as is instead of planning again
+async function lockMany(repo, paths, opts = {}) {
+  const plan = opts.plan || await planLock(repo, paths, opts);
+  const { ref: tipRef } = tipOf(opts);
 
-    const subject =
-      toUpdate.length === 1
-        ? `Sync ${toUpdate[0]} from ${tipRef} before locking`
-        : `Sync ${toUpdate.length} assets from ${tipRef} before locking`;
-    const body = toUpdate.slice(0, 50).map(f => `- ${f}`).join('\n');
-    const commitArgs = ['commit', '-m', subject];
-    if (body) commitArgs.push('-m', body);
-    await run(repo, 'git', commitArgs);
-  }
+  // Missing/dirty/not lockable files are skipped PER FILE and reported back with a reason
+  const skipped = plan
+    .filter(p => p.action.startsWith('skip-'))
+    .map(p => ({ path: p.path, reason: p.action.slice('skip-'.length) }));
+  const candidates = plan.filter(p => p.action === 'lock' || p.action === 'sync').map(p => p.path);
+  if (!candidates.length) return { ok: [], errors: [], skipped };
+
+  // Lock first so the sync commit below only ever carries files we actually hold.
+  const { ok, errors } = await lockEach(repo, candidates);
+
+  // Locked candidates that differ vs tipRef need a sync commit
+  const locked = new Set(ok.map(r => r.path));
+  const toUpdate = plan.filter(p => p.action === 'sync' && locked.has(p.path)).map(p => p.path);
 
-  // Try to lock each candidate independently; continue on errors
-  const ok = [], errors = [];
-  for (const f of candidates) {
+  if (toUpdate.length) {
     try {
-      const { stdout } = await run(repo, 'git', ['lfs', 'lock', f, '--json']);
-      ok.push({ path: normPath(f), json: JSON.parse(stdout) });
+      await syncFromTip(repo, tipRef, toUpdate);
     } catch (err) {
-      errors.push({ path: normPath(f), message: err.message || String(err) });
+      // Holding a lock on stale content is what the sync is there to prevent, so give those locks back
+      await run(repo, 'git', ['reset', '-q', 'HEAD', '--', ...toUpdate], { allowFail: true });
+      await run(repo, 'git', ['checkout', 'HEAD', '--', ...toUpdate], { allowFail: true });
+      // A lock that can't be given back is still ours, so it stays in ok with an error saying so
+      const stillHeld = [];
+      for (const f of toUpdate) {
+        const { code, stderr } = await run(repo, 'git', ['lfs', 'unlock', f, '--json'], { allowFail: true });
+        if (code === 0) {
+          errors.push(failure(err, f));
+        } else {
+          stillHeld.push(f);
+          errors.push(failure(new GitError('still-locked', `${f} is still locked: syncing it from ${tipRef} failed (${err.message}) and unlocking it again failed (${stderr.trim()})`, {
+            path: f,
+            command: `git lfs unlock ${f}`,
+            exitCode: code,
+            stderr,
+          }), f));
+        }
+      }
+      return { ok: ok.filter(r => !toUpdate.includes(r.path) || stillHeld.includes(r.path)), errors, skipped };
     }
   }
-  return { ok, errors };
+
+  return { ok, errors, skipped };
 }
 
-async function unlockMany(repo, paths, { tipBranch = 'assets-tip', force = false } = {}) {
+async function syncFromTip(repo, tipRef, files) {
+  await run(repo, 'git', ['checkout', tipRef, '--', ...files]);
+  await run(repo, 'git', ['add', '--', ...files]);
+
+  const subject =
+    files.length === 1
+      ? `Sync ${files[0]} from ${tipRef} before locking`
+      : `Sync ${files.length} assets from ${tipRef} before locking`;
+  const body = files.slice(0, 50).map(f => `- ${f}`).join('\n');
+  const commitArgs = ['commit', '-m', subject];
+  if (body) commitArgs.push('-m', body);
+  // Only commit the synced paths, never whatever else happens to be staged
+  await run(repo, 'git', [...commitArgs, '--', ...files]);
+}
+
+// Work out what unlockMany would do for each file without touching the repo.
+// Actions: 'publish' (push HEAD blob to tip + unlock), 'unlock'
+async function planUnlock(repo, paths, opts = {}) {
   const files = Array.from(new Set(paths.map(normPath))).filter(Boolean);
   if (!files.length) return [];
 
-  const tipRef = `origin/${tipBranch}`;
-  await fetchOrigin(repo, [tipBranch]);
+  // Forcing breaks someone else's lock: our copy of their file is not the one to publish
+  if (opts.force) return files.map(f => ({ path: f, action: 'unlock' }));
+
+  const { remote, branch, ref: tipRef } = tipOf(opts);
+  await fetchRemote(repo, remote, [branch]);
 
   // Decide which files we can publish (present in HEAD) and need publishing (new/different)
-  const toPublish = [];
+  const plan = [];
   for (const f of files) {
-    const headBlob = await revParseBlob(repo, `HEAD:${normPath(f)}`).catch(() => null);
+    const headBlob = await revParseBlob(repo, `HEAD:${f}`).catch(() => null);
     if (!headBlob) {
       // no blob in HEAD → nothing to publish for this file; we will still attempt unlock later
+      plan.push({ path: f, action: 'unlock' });
       continue;
     }
     const onTip = await existsOnRef(repo, tipRef, f);
-    if (!onTip) {
-      toPublish.push([normPath(f), headBlob]);
-    } else {
-      const tipBlob = await revParseBlob(repo, `${tipRef}:${f}`);
-      if (tipBlob !== headBlob) toPublish.push([normPath(f), headBlob]);
-    }
+    const tipBlob = onTip ? await revParseBlob(repo, `${tipRef}:${f}`) : null;
+    plan.push({ path: f, action: tipBlob !== headBlob ? 'publish' : 'unlock', headBlob, tipBlob });
   }
+  return plan;
+}
 
-  if (toPublish.length) {
-    const wt = uniqueWorktreeDir(repo);
-    try {
-      await run(repo, 'git', ['worktree', 'remove', '-f', wt], { allowFail: true });
-      await run(repo, 'git', ['worktree', 'add', '-f', '--detach', wt, tipRef]);
+const PUSH_ATTEMPTS = 3;
 
-      const wtOpts = { cwd: wt };
-      await run(repo, 'git', ['checkout', '-q', '-B', tipBranch, tipRef], wtOpts);
+// Only a tip that moved on since we fetched is worth another attempt; hooks and protected
+// branches report "[remote rejected]" and "failed to push" too, and would refuse every retry
+function isPushRejected(err) {
+  return /non-fast-forward|fetch first/i.test(err.message || String(err));
+}
 
-      for (const [f, headBlob] of toPublish) {
-        const absDir = path.dirname(joinRepo(wt, f));
-        if (absDir && absDir !== '.' && !fs.existsSync(absDir)) {
-          fs.mkdirSync(absDir, { recursive: true });
-        }
-        await run(repo, 'git', ['update-index', '--add', '--cacheinfo', '100644', headBlob, f], wtOpts);
-      }
+// Commit the given HEAD blobs on top of the current tip ref in a throwaway worktree and push it
+async function commitToTip(repo, { remote, branch: tipBranch, ref: tipRef }, toPublish) {
+  const wt = uniqueWorktreeDir(repo);
+  try {
+    await run(repo, 'git', ['worktree', 'remove', '-f', wt], { allowFail: true });
+    await run(repo, 'git', ['worktree', 'add', '-f', '--detach', wt, tipRef]);
+
+    const wtOpts = { cwd: wt };
+    await run(repo, 'git', ['checkout', '-q', '-B', tipBranch, tipRef], wtOpts);
 
-      const srcBranch = await currentBranch(repo);
-      const srcShort  = await shortHead(repo);
-      const subject =
-        toPublish.length === 1
-          ? `Update ${toPublish[0][0]} from ${srcBranch} @ ${srcShort}`
-          : `Update ${toPublish.length} asset(s) from ${srcBranch} @ ${srcShort}`;
-      const body = toPublish.slice(0,50).map(([f]) => `- ${f}`).join('\n');
-
-      const commitArgs = ['commit', '-m', subject];
-      if (body) commitArgs.push('-m', body);
-      await run(repo, 'git', commitArgs, wtOpts);
-
-      await run(repo, 'git', ['push', 'origin', tipBranch], wtOpts);
-    } finally {
-      await run(repo, 'git', ['worktree', 'remove', '-f', wt], { allowFail: true });
+    for (const { path: f, headBlob } of toPublish) {
+      const absDir = path.dirname(joinRepo(wt, f));
+      if (absDir && absDir !== '.' && !fs.existsSync(absDir)) {
+        fs.mkdirSync(absDir, { recursive: true });
+      }
+      await run(repo, 'git', ['update-index', '--add', '--cacheinfo', '100644', headBlob, f], wtOpts);
     }
-  }
 
-  // Try to unlock each file independently; continue on errors
+    const srcBranch = await currentBranch(repo);
+    const srcShort  = await shortHead(repo);
+    const subject =
+      toPublish.length === 1
+        ? `Update ${toPublish[0].path} from ${srcBranch} @ ${srcShort}`
+        : `Update ${toPublish.length} asset(s) from ${srcBranch} @ ${srcShort}`;
+    const body = toPublish.slice(0,50).map(({ path: f }) => `- ${f}`).join('\n');
+
+    const commitArgs = ['commit', '-m', subject];
+    if (body) commitArgs.push('-m', body);
+    await run(repo, 'git', commitArgs, wtOpts);
+
+    await run(repo, 'git', ['push', remote, tipBranch], wtOpts);
+  } finally {
+    await run(repo, 'git', ['worktree', 'remove', '-f', wt], { allowFail: true });
+  }
+}
 
-  const unlockArgs = force ? ['--force'] : [];
-  const ok = [], errors = [];
+// Publish to the tip, rebuilding the commit on the new tip when a teammate pushed in between.
+// A file is a conflict when the tip changed it since we planned and not to our blob.
+async function publishToTip(repo, tip, toPublish) {
+  let pending = toPublish;
+  const conflicts = [];
 
-  for (const f of files) {
+  for (let attempt = 1; pending.length; attempt++) {
     try {
-      const { stdout } = await run(repo, 'git', ['lfs', 'unlock', normPath(f), '--json', ...unlockArgs]);
-      ok.push({ path: normPath(f), json: JSON.parse(stdout) });
+      await commitToTip(repo, tip, pending);
+      break;
     } catch (err) {
-      errors.push({ path: normPath(f), message: err.message || String(err) });
+      if (!isPushRejected(err) || attempt >= PUSH_ATTEMPTS) throw err;
+    }
+
+    await fetchRemote(repo, tip.remote, [tip.branch]);
+    const next = [];
+    for (const entry of pending) {
+      const tipBlob = (await existsOnRef(repo, tip.ref, entry.path))
+        ? await revParseBlob(repo, `${tip.ref}:${entry.path}`)
+        : null;
+      if (tipBlob === entry.headBlob) {
+        // someone already published the same content
+        continue;
+      }
+      if (tipBlob !== entry.tipBlob) {
+        conflicts.push(failure(
+          new GitError('tip-conflict', `${entry.path} was changed on ${tip.branch} by someone else`),
+          entry.path,
+        ));
+        continue;
+      }
+      next.push(entry);
     }
+    pending = next;
+  }
+
+  return { conflicts };
+}
+
+// opts.plan: a planUnlock result reviewed beforehand, carried out as is instead of planning again
+async function unlockMany(repo, paths, opts = {}) {
+  const { force = false } = opts;
+  const plan = opts.plan || await planUnlock(repo, paths, opts);
+  const files = plan.map(p => p.path);
+  if (!files.length) return { ok: [], errors: [] };
+
+  const toPublish = plan.filter(p => p.action === 'publish');
+
+  const errors = [];
+  if (toPublish.length) {
+    const { conflicts } = await publishToTip(repo, tipOf(opts), toPublish);
+    // Keep conflicting files locked: their content still has to be reconciled with the tip
+    errors.push(...conflicts);
   }
-  return { ok, errors };
+
+  // Conflicting files are left out of the unlock
+  const unlocked = await unlockEach(repo, files.filter(f => !errors.find(e => e.path === f)), { force });
+  return { ok: unlocked.ok, errors: [...errors, ...unlocked.errors] };
+}
+
+// Map of path → blob id of every file in the tree of ref
+async function lsTree(repo, ref) {
+  const { stdout } = await run(repo, 'git', ['ls-tree', '-r', '-z', ref]);
+  // "<mode> <type> <oid>\t<path>\0"
+  return new Map(stdout.split('\0').filter(Boolean).map(entry => {
+    const tab = entry.indexOf('\t');
+    return [entry.slice(tab + 1), entry.slice(0, tab).split(' ')[2]];
+  }));
+}
+
+// Bulk version of the planLock blob comparison: path → true when the tip has another version than HEAD
+async function differsFromTip(repo, paths, opts = {}) {
+  const { remote, branch, ref: tipRef } = tipOf(opts);
+  await fetchRemote(repo, remote, [branch]);
+  const [tip, head] = await Promise.all([lsTree(repo, tipRef), lsTree(repo, 'HEAD')]);
+  return Object.fromEntries(paths.map(normPath).map(f => [f, tip.has(f) && tip.get(f) !== head.get(f)]));
+}
+
+// path → { head, tip }: whether the working tree version of each file differs from HEAD and from the tip.
+// local maps every changed file to its blob id (null when deleted), the others are as in HEAD.
+// Compares with the tip as last fetched, so it can run with every refresh of the files list.
+async function compareLocal(repo, paths, local, opts = {}) {
+  const { ref: tipRef } = tipOf(opts);
+  const { code } = await run(repo, 'git', ['rev-parse', '--verify', '-q', `refs/remotes/${tipRef}`], { allowFail: true });
+  const [tip, head] = await Promise.all([
+    code === 0 ? lsTree(repo, tipRef) : new Map(),
+    // no commit yet
+    lsTree(repo, 'HEAD').catch(() => new Map()),
+  ]);
+  return Object.fromEntries(paths.map(normPath).map(f => {
+    const blob = local.has(f) ? local.get(f) : head.get(f);
+    return [f, { head: blob !== head.get(f), tip: tip.has(f) && tip.get(f) !== blob }];
+  }));
 }
 
-// Convenience single-file wrappers
-async function lockOne(repo, file, opts) {
-  const res = await lockMany(repo, [file], opts);
-  return res[0];
+// Single-file lock/unlock: resolve to the lock JSON or reject with a GitError
+function lockOne(repo, file, opts) {
+  return single(repo, normPath(file), () => lockMany(repo, [file], opts));
 }
-async function unlockOne(repo, file, opts) {
-  const res = await unlockMany(repo, [file], opts);
-  return res[0];
+function unlockOne(repo, file, opts) {
+  return single(repo, normPath(file), () => unlockMany(repo, [file], opts));
 }
 
 module.exports = {
+  hasTip,
+  differsFromTip,
+  compareLocal,
+  planLock,
+  planUnlock,
   lockMany,
   unlockMany,
   lockOne,
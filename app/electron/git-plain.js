@@ -0,0 +1,139 @@
+// Node helpers for plain "git lfs lock"/"git lfs unlock", without the assets-tip sync and publish steps
+
+const { run } = require('./run');
+const { normPath } = require('./paths');
+const { GitError, failure } = require('./errors');
+
+async function isLockable(repo, file) {
+  const { stdout } = await run(repo, 'git', ['check-attr', 'lockable', '--', normPath(file)]);
+  return stdout.trim().endsWith(': lockable: set');
+}
+
+// Lock each file independently; continue on errors
+async function lockEach(repo, files) {
+  const ok = [], errors = [];
+  for (const f of files) {
+    try {
+      const { stdout } = await run(repo, 'git', ['lfs', 'lock', normPath(f), '--json']);
+      ok.push({ path: normPath(f), json: JSON.parse(stdout) });
+    } catch (err) {
+      errors.push(failure(err, normPath(f)));
+    }
+  }
+  return { ok, errors };
+}
+
+// Unlock each file independently; continue on errors
+async function unlockEach(repo, files, { force = false } = {}) {
+  const unlockArgs = force ? ['--force'] : [];
+  const ok = [], errors = [];
+  for (const f of files) {
+    try {
+      const { stdout } = await run(repo, 'git', ['lfs', 'unlock', normPath(f), '--json', ...unlockArgs]);
+      ok.push({ path: normPath(f), json: JSON.parse(stdout) });
+    } catch (err) {
+      errors.push(failure(err, normPath(f)));
+    }
+  }
+  return { ok, errors };
+}
+
+// Actions: 'skip-not-lockable', 'lock'
+async function planLock(repo, paths) {
+  const files = Array.from(new Set(paths.map(normPath))).filter(Boolean);
+  const plan = [];
+  for (const f of files) {
+    plan.push({ path: f, action: (await isLockable(repo, f)) ? 'lock' : 'skip-not-lockable' });
+  }
+  return plan;
+}
+
+// Actions: 'unlock'
+async function planUnlock(repo, paths) {
+  const files = Array.from(new Set(paths.map(normPath))).filter(Boolean);
+  return files.map(f => ({ path: f, action: 'unlock' }));
+}
+
+// opts.plan: a planLock result reviewed beforehand, carried out as is instead of planning again
+async function lockMany(repo, paths, opts = {}) {
+  const plan = opts.plan || await planLock(repo, paths);
+  const skipped = plan
+    .filter(p => p.action.startsWith('skip-'))
+    .map(p => ({ path: p.path, reason: p.action.slice('skip-'.length) }));
+  const { ok, errors } = await lockEach(repo, plan.filter(p => p.action === 'lock').map(p => p.path));
+  return { ok, errors, skipped };
+}
+
+async function unlockMany(repo, paths, opts = {}) {
+  const plan = opts.plan || await planUnlock(repo, paths);
+  return unlockEach(repo, plan.map(p => p.path), { force: !!opts.force });
+}
+
+async function currentOwner(repo, file) {
+  const { stdout } = await run(repo, 'git', ['lfs', 'locks', `--path=${normPath(file)}`, '--json'], { allowFail: true });
+  try {
+    const [lock] = JSON.parse(stdout);
+    return lock && lock.owner && lock.owner.name;
+  } catch (err) {
+    return undefined;
+  }
+}
+
+const skipMessages = {
+  'dirty': f => `${f} has local changes`,
+  'missing': f => `${f} is missing`,
+  'not-lockable': f => `${f} is not lockable`,
+};
+
+// Turn the lockMany/unlockMany result of a single file into its lock JSON, or throw why it failed
+async function single(repo, file, many) {
+  let res;
+  try {
+    res = await many();
+  } catch (err) {
+    throw err instanceof GitError ? Object.assign(err, { path: file }) : new GitError('unknown', err.message || String(err), { path: file });
+  }
+
+  // Locked but not in the state asked for, e.g. the assets-tip sync failed and the lock couldn't be given back
+  const stillLocked = (res.errors || []).find(e => e.code === 'still-locked');
+  if (stillLocked) {
+    const { code, message, ...details } = stillLocked;
+    throw new GitError(code, message, details);
+  }
+
+  const [done] = res.ok;
+  if (done) return done.json;
+
+  const [skip] = res.skipped || [];
+  if (skip) {
+    throw new GitError(skip.reason, skipMessages[skip.reason](skip.path), { path: skip.path });
+  }
+
+  const [{ code = 'unknown', message, ...details }] = res.errors;
+  if (code === 'locked-by-other') {
+    const owner = await currentOwner(repo, details.path);
+    throw new GitError(code, owner ? `${details.path} is already locked by ${owner}` : message, { ...details, owner });
+  }
+  throw new GitError(code, message, details);
+}
+
+// Single-file lock/unlock: resolve to the lock JSON or reject with a GitError
+function lockOne(repo, file, opts) {
+  return single(repo, normPath(file), () => lockMany(repo, [file], opts));
+}
+function unlockOne(repo, file, opts) {
+  return single(repo, normPath(file), () => unlockMany(repo, [file], opts));
+}
+
+module.exports = {
+  isLockable,
+  lockEach,
+  unlockEach,
+  single,
+  planLock,
+  planUnlock,
+  lockMany,
+  unlockMany,
+  lockOne,
+  unlockOne,
+};
@@ -1,15 +1,18 @@
-const { exec, spawn } = require('child_process');
+const { execFile, spawn } = require('child_process');
 const isEmpty = require('lodash/isEmpty');
 const size = require('lodash/size');
-const remove = require('lodash/remove');
-const first = require('lodash/first');
 const fs = require('fs');
 const path = require('path');
 const ini = require('ini');
 const GitAttributes = require('git-attributes');
 const fixPath = require('fix-path');
 const assetsTip = require('./git-assets-tip');
+const plain = require('./git-plain');
 const { normPath } = require('./paths');
+const { GitError, commandError } = require('./errors');
+const { current, gitBinary, gitEnv } = require('./executables');
+const { checkEnvironment } = require('./environment');
+const lockableCache = require('./lockable-cache');
 
 fixPath();
 
@@ -34,15 +37,23 @@ function repoRoot(repoPath) {
   return gitBaseDir;
 }
 
+// The GitError for an exec/execFile callback that failed or wrote to stderr
+function execError(command, err, stdout, stderr) {
+  if (err && typeof err.code === 'string') {
+    // the binary itself could not be started
+    return commandError({ command, spawnError: err });
+  }
+  return commandError({ command, exitCode: err ? err.code : 0, stdout, stderr });
+}
+
 function remotes(repo) {
   return new Promise((resolve, reject) => {
-    exec('git remote', {
-      cwd: repoRoot(repo)
+    execFile(gitBinary(), ['remote'], {
+      cwd: repoRoot(repo),
+      env: gitEnv(),
     }, (err, stdout, stderr) => {
-      if (stderr) {
-        reject(stderr);
-      } else if (err) {
-        reject(err);
+      if (stderr || err) {
+        reject(execError('git remote', err, stdout, stderr));
       } else {
         resolve(stdout.trim().split('\n'));
       }
@@ -140,149 +151,462 @@ function createGitAttributes(repo, rules) {
 
 function getRepoName(repo) {
   return new Promise((resolve, reject) => {
-    exec('git config --get remote.origin.url', {
+    execFile(gitBinary(), ['config', '--get', 'remote.origin.url'], {
       cwd: repoRoot(repo),
+      env: gitEnv(),
     }, (err, stdout, stderr) => {
-      if (stderr) {
-        reject(stderr);
-      } else if (err) {
-        reject(err);
-      }  else {
+      if (stderr || err) {
+        reject(execError('git config --get remote.origin.url', err, stdout, stderr));
+      } else {
         resolve(path.basename(stdout.trim(), '.git'));
       }
     });
   });
 }
 
-function listLockableFiles(repo) {
-  return Promise.all([
-    new Promise((resolve, reject) => {
-      const lsFiles = spawn('git', ['ls-files', '--recurse-submodules'], {
-        cwd: repoRoot(repo),
-      });
-      const attrs = spawn('git', ['check-attr', '--stdin', 'lockable'], {
-        cwd: repoRoot(repo),
-      });
+// Lockable paths sent to the renderer at once while a listing is running
+const LISTING_BATCH_SIZE = 500;
 
-      let lsFilesError = '';
-      lsFiles.stdout.on('data', function (data) {
+// Listings in progress by repository, so switching repository can stop them
+const listings = {};
+
+function cancelListing(repo) {
+  const listing = listings[repo];
+  if (listing) {
+    listing.canceled = true;
+    listing.children.forEach(child => child.kill());
+    delete listings[repo];
+  }
+}
+
+const canceled = () => new GitError('canceled', 'Listing the lockable files was canceled', { command: 'git ls-files' });
+
+// Runs `git ls-files | git check-attr lockable`, handing the lockable paths to onBatch as they come
+function scanLockableFiles(repo, listing, onBatch) {
+  return new Promise((resolve, reject) => {
+    const lsFiles = spawn(gitBinary(), ['ls-files', '--recurse-submodules'], {
+      cwd: repoRoot(repo),
+      env: gitEnv(),
+    });
+    const attrs = spawn(gitBinary(), ['check-attr', '--stdin', 'lockable'], {
+      cwd: repoRoot(repo),
+      env: gitEnv(),
+    });
+    listing.children.push(lsFiles, attrs);
+
+    lsFiles.on('error', spawnError => reject(commandError({ command: 'git ls-files', spawnError })));
+    attrs.on('error', spawnError => reject(commandError({ command: 'git check-attr', spawnError })));
+
+    // Writing to check-attr after a cancel killed it fails, the listing is rejected anyway
+    attrs.stdin.on('error', err => {
+      if (!listing.canceled) {
+        reject(commandError({ command: 'git check-attr', spawnError: err }));
+      }
+    });
+
+    let lsFilesError = '';
+    lsFiles.stdout.on('data', function (data) {
+      if (!listing.canceled) {
         attrs.stdin.write(data);
-      });
-      lsFiles.stderr.on('data', function (data) {
-        lsFilesError += data;
-      });
-      lsFiles.on('close', function (code) {
-        if (code !== 0) {
-          reject(lsFilesError);
-        }
-        attrs.stdin.end();
-      });
+      }
+    });
+    lsFiles.stderr.on('data', function (data) {
+      lsFilesError += data;
+    });
+    lsFiles.on('close', function (code) {
+      if (code !== 0 && !listing.canceled) {
+        reject(commandError({ command: 'git ls-files --recurse-submodules', exitCode: code, stderr: lsFilesError }));
+      }
+      attrs.stdin.end();
+    });
 
-      let attrsError = '';
-      let attrsData = '';
-      attrs.stdout.on('data', function (data) {
-        attrsData += data;
-      });
-      attrs.stderr.on('data', function (data) {
-        attrsError += data;
-      });
-      attrs.on('close', function (code) {
-        if (code === 0) {
-          resolve(attrsData
-            .trim()
-            .split('\n')
-            .map(f => f.split(': lockable: '))
-            .filter(f => size(f) === 2 && f[1] === 'set')
-            .map(f => f[0]));
-        } else {
-          reject(attrsError);
-        }
-      });
-    }),
-    new Promise((resolve, reject) => {
-      const locks = spawn('git', ['lfs', 'locks', '--json'], {
-        cwd: repoRoot(repo),
-      });
-      let locksError = '';
-      let locksData = '';
-      locks.stdout.on('data', function (data) {
-        locksData += data;
-      });
-      locks.stderr.on('data', function (data) {
-        locksError += data;
-      });
-      locks.on('close', function (code) {
-        if (code === 0) {
-          resolve(JSON.parse(locksData));
-        } else {
-          reject(locksError);
-        }
+    // check-attr answers line by line, so lockable paths are known long before it exits
+    const lockable = [];
+    let batch = [];
+    let partialLine = '';
+    const flush = () => {
+      if (batch.length && !listing.canceled) {
+        onBatch({ paths: batch, count: lockable.length });
+      }
+      batch = [];
+    };
+    const parse = lines => lines
+      .map(f => f.split(': lockable: '))
+      .filter(f => size(f) === 2 && f[1] === 'set')
+      .forEach(f => {
+        lockable.push(f[0]);
+        batch.push(f[0]);
       });
-    })
+
+    let attrsError = '';
+    attrs.stdout.on('data', function (data) {
+      const lines = (partialLine + data).split('\n');
+      partialLine = lines.pop();
+      parse(lines);
+      if (batch.length >= LISTING_BATCH_SIZE) {
+        flush();
+      }
+    });
+    attrs.stderr.on('data', function (data) {
+      attrsError += data;
+    });
+    attrs.on('close', function (code) {
+      if (listing.canceled) {
+        reject(canceled());
+      } else if (code === 0) {
+        parse([partialLine]);
+        flush();
+        resolve(lockable);
+      } else {
+        reject(commandError({ command: 'git check-attr --stdin lockable', exitCode: code, stderr: attrsError }));
+      }
+    });
+  });
+}
+
+// Lists the lockable files like listLockableFiles, but hands every batch of lockable paths
+// to onBatch({ paths, count }) while git is still running. count is the number found so far.
+// Paths cached by an earlier scan arrive as a single batch.
+// With options.locks those locks are matched to the files instead of asking the server,
+// for rescans after local changes that can't have changed any lock.
+function streamLockableFiles(repo, onBatch = () => {}, { locks } = {}) {
+  cancelListing(repo);
+  const listing = { children: [], canceled: false };
+  listings[repo] = listing;
+
+  // The scan is skipped while the repository is in the state the cached paths were found in
+  const lockable = Promise.all([
+    lockableCache.stateKey(repo).catch(() => null),
+    lockableCache.read(repo),
+  ]).then(([key, cached]) => {
+    if (key && cached && cached.key === key) {
+      if (!listing.canceled) {
+        onBatch({ paths: cached.paths, count: cached.paths.length });
+      }
+      return cached.paths;
+    }
+    if (listing.canceled) {
+      throw canceled();
+    }
+    return scanLockableFiles(repo, listing, onBatch).then(paths => {
+      if (key) {
+        lockableCache.write(repo, { key, paths }).catch(err => console.error(err));
+      }
+      return paths;
+    });
+  });
+
+  return Promise.all([
+    lockable,
+    locks || listLocks(repo, { verify: true }),
   ])
   .then(([files, locks]) => {
+    if (listing.canceled) {
+      throw canceled();
+    }
+    // Locks left over after matching the files belong to files that aren't in our branch
+    const unmatched = new Map(locks.map(lock => [lock.path, lock]));
     return files.map(f => {
-      const lock = remove(locks, lock => lock.path === f);
+      const lock = unmatched.get(f);
+      unmatched.delete(f);
       return {
         path: f,
-        lock: first(lock),
+        lock,
       };
-    }).concat(locks.map(lock => ({
+    }).concat([...unmatched.values()].map(lock => ({
       path: lock.path,
       lock,
       isMissing: true,
     })));
+  })
+  .finally(() => {
+    if (listings[repo] === listing) {
+      delete listings[repo];
+    }
   });
 }
 
+function listLockableFiles(repo) {
+  return streamLockableFiles(repo);
+}
+
 //const norm = p => p.replace(/\\/g, '/');
 
-async function lockFile(repo, file) {
-  const { path, json } = await assetsTip.lockOne(repo, file);
-  return { [normPath(path)]: json };
+// Only the assets-tip settings of the repository are passed down to git-assets-tip
+const tipOptions = ({ remote, tipBranch } = {}) => ({ remote, tipBranch });
+
+// The lock workflow of the repository: plain git lfs or the assets-tip sync/publish one
+const workflow = ({ mode } = {}) => mode === 'plain' ? plain : assetsTip;
+
+// 'assets-tip' when the remote has the tip branch; 'plain' without it or without the remote
+async function detectLockMode(repo, options = {}) {
+  try {
+    return (await assetsTip.hasTip(repo, tipOptions(options))) ? 'assets-tip' : 'plain';
+  } catch (err) {
+    if (err.code === 'remote-not-found') {
+      return 'plain';
+    }
+    throw err;
+  }
+}
+
+// Resolves to the lock JSON, rejects with a GitError coded
+// 'locked-by-other', 'not-lockable', 'dirty', 'missing', 'network' or 'unknown'
+function lockFile(repo, file, options = {}) {
+  return workflow(options).lockOne(repo, file, tipOptions(options));
 }
 
-async function unlockFile(repo, file, force) {
-  const { path, json } = await assetsTip.unlockOne(repo, file, { force });
-  return { [normPath(path)]: json };
+function unlockFile(repo, file, force, options = {}) {
+  return workflow(options).unlockOne(repo, file, { ...tipOptions(options), force });
 }
 
-async function lockFiles(repo, filePaths) {
-  const { ok, errors } = await assetsTip.lockMany(repo, filePaths);
+// plan: what planLockFiles showed for the files, to carry out exactly what was reviewed
+async function lockFiles(repo, filePaths, options = {}, plan) {
+  const { ok, errors, skipped } = await workflow(options).lockMany(repo, filePaths, { ...tipOptions(options), plan });
   const okMap = Object.fromEntries(ok.map(r => [normPath(r.path), r.json]));
-  return { ok: okMap, errors };
+  return { ok: okMap, errors, skipped };
 }
 
-async function unlockFiles(repo, filePaths, force = false) {
-  const { ok, errors } = await assetsTip.unlockMany(repo, filePaths, { force });
+async function unlockFiles(repo, filePaths, force = false, options = {}, plan) {
+  const { ok, errors } = await workflow(options).unlockMany(repo, filePaths, { ...tipOptions(options), force, plan });
   const okMap = Object.fromEntries(ok.map(r => [normPath(r.path), r.json]));
   return { ok: okMap, errors };
 }
 
+async function planLockFiles(repo, filePaths, options = {}) {
+  const plan = await workflow(options).planLock(repo, filePaths, tipOptions(options));
+  return plan.map(entry => ({ ...entry, path: normPath(entry.path) }));
+}
+
+async function planUnlockFiles(repo, filePaths, options = {}) {
+  const plan = await workflow(options).planUnlock(repo, filePaths, tipOptions(options));
+  // the blobs compared for 'publish' go along so the unlock publishes what was reviewed
+  return plan.map(entry => ({ ...entry, path: normPath(entry.path) }));
+}
+
+// path → whether the assets tip has another version of the file than HEAD; empty without an assets tip
+async function differsFromTip(repo, filePaths, options = {}) {
+  if (workflow(options) !== assetsTip || !(await assetsTip.hasTip(repo, tipOptions(options)))) {
+    return {};
+  }
+  return assetsTip.differsFromTip(repo, filePaths, tipOptions(options));
+}
+
+// Map of path → { status: 'modified' | 'staged', deleted } from `git status`; changes not yet
+// staged win over staged ones. Without optional locks git doesn't refresh the index, which would
+// wake the repository watcher and refresh the files list again. Only tracked files are listed,
+// walking the untracked ones could take long and none of them are in the files list.
+function workingTreeStatus(repo) {
+  return new Promise((resolve, reject) => {
+    execFile(gitBinary(), ['--no-optional-locks', 'status', '--porcelain=v1', '-z', '--untracked-files=no'], {
+      cwd: repoRoot(repo),
+      env: gitEnv(),
+      maxBuffer: 64 * 1024 * 1024,
+    }, (err, stdout, stderr) => {
+      if (err) {
+        reject(execError('git status', err, stdout, stderr));
+        return;
+      }
+      // "XY <path>\0", followed by "<original path>\0" for renames and copies
+      const entries = stdout.split('\0');
+      const status = new Map();
+      for (let i = 0; i < entries.length; i++) {
+        if (!entries[i]) continue;
+        const [x, y] = entries[i];
+        const state = y !== ' ' ? 'modified' : 'staged';
+        status.set(normPath(entries[i].slice(3)), { status: state, deleted: x === 'D' || y === 'D' });
+        if (x === 'R' || x === 'C') i++;
+      }
+      resolve(status);
+    });
+  });
+}
+
+// Map of path → blob id of the working tree files, with the clean filters applied like `git add` would.
+// The paths go through stdin, a large change set would not fit on the command line.
+function hashFiles(repo, filePaths) {
+  if (!filePaths.length) {
+    return Promise.resolve(new Map());
+  }
+  return new Promise((resolve, reject) => {
+    const child = execFile(gitBinary(), ['hash-object', '--stdin-paths'], {
+      cwd: repoRoot(repo),
+      env: gitEnv(),
+      maxBuffer: 64 * 1024 * 1024,
+    }, (err, stdout, stderr) => {
+      if (err) {
+        reject(execError('git hash-object --stdin-paths', err, stdout, stderr));
+      } else {
+        const blobs = stdout.trim().split('\n');
+        resolve(new Map(filePaths.map((f, i) => [f, blobs[i]])));
+      }
+    });
+    // hash-object failing early closes stdin, the callback reports why
+    child.stdin.on('error', () => {});
+    child.stdin.end(`${filePaths.join('\n')}\n`);
+  });
+}
+
+// path → { status, differsFromHead, differsFromTip } for the files with local changes or another
+// version on the assets tip; clean files the tip agrees with are left out.
+// Hashing runs the clean filters over whole files, so only the changed files among hashPaths
+// are compared; the other changed files get their status alone.
+async function localChanges(repo, filePaths, hashPaths, options = {}) {
+  const status = await workingTreeStatus(repo);
+  const toHash = new Set(hashPaths.map(normPath));
+  const changed = filePaths.map(normPath).filter(f => status.has(f));
+  const hashed = changed.filter(f => toHash.has(f));
+  const blobs = await hashFiles(repo, hashed.filter(f => !status.get(f).deleted));
+  const local = new Map(hashed.map(f => [f, blobs.get(f) || null]));
+  const compared = await assetsTip.compareLocal(repo, filePaths, local, tipOptions(options));
+  const withTip = workflow(options) === assetsTip;
+  return Object.fromEntries(Object.entries(compared)
+    .map(([f, differs]) => [f, status.has(f) && !local.has(f)
+      ? { status: status.get(f).status }
+      : {
+        status: status.has(f) ? status.get(f).status : undefined,
+        differsFromHead: differs.head,
+        differsFromTip: withTip && differs.tip,
+      }])
+    .filter(([, change]) => change.status || change.differsFromTip));
+}
+
+function stashFiles(repo, filePaths) {
+  return new Promise((resolve, reject) => {
+    execFile(gitBinary(), ['stash', 'push', '-m', 'Git Locks Manager: stash before locking', '--', ...filePaths], {
+      cwd: repoRoot(repo),
+      env: gitEnv(),
+    }, (err, stdout, stderr) => {
+      if (err) {
+        reject(execError('git stash push', err, stdout, stderr));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+function discardFiles(repo, filePaths) {
+  return new Promise((resolve, reject) => {
+    // Restores both the index and the working tree from HEAD
+    execFile(gitBinary(), ['checkout', 'HEAD', '--', ...filePaths], {
+      cwd: repoRoot(repo),
+      env: gitEnv(),
+    }, (err, stdout, stderr) => {
+      if (err) {
+        reject(execError('git checkout HEAD', err, stdout, stderr));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
 function getLockByPath(repo, path) {
   return new Promise((resolve, reject) => {
-    exec(`git lfs locks --path="${path}" --json`, {
+    execFile(gitBinary(), ['lfs', 'locks', `--path=${path}`, '--json'], {
       cwd: repoRoot(repo),
+      env: gitEnv(),
     }, (err, stdout, stderr) => {
-      if (stderr) {
-        reject(stderr);
-      } else if (err) {
-        reject(err);
+      if (stderr || err) {
+        reject(execError('git lfs locks', err, stdout, stderr));
+      } else {
+        resolve(JSON.parse(stdout));
+      }
+    });
+  });
+}
+
+// Every author with commits on any ref and the date of their latest one, most recent first: [{ name, email, at }]
+function commitAuthors(repo) {
+  return new Promise((resolve, reject) => {
+    execFile(gitBinary(), ['log', '--all', '--format=%an%x09%ae%x09%cI'], {
+      cwd: repoRoot(repo),
+      env: gitEnv(),
+      maxBuffer: 64 * 1024 * 1024,
+    }, (err, stdout, stderr) => {
+      if (err) {
+        reject(execError('git log', err, stdout, stderr));
+        return;
+      }
+      const authors = new Map();
+      stdout.trim().split('\n').filter(Boolean).forEach(line => {
+        const [name, email, at] = line.split('\t');
+        const key = email.toLowerCase();
+        if (!authors.has(key)) {
+          authors.set(key, { name, email, at });
+        }
+      });
+      resolve([...authors.values()]);
+    });
+  });
+}
+
+// Failures a plain `git lfs locks` would run into as well
+const LIST_LOCKS_FATAL = ['network', 'lfs-missing', 'git-missing'];
+
+// `git lfs locks --json`. With verify every lock also gets ownership: 'ours' or 'theirs';
+// when verifying fails (no write access, a server without the verify endpoint) the plain list is used instead.
+function listLocks(repo, { verify = false } = {}) {
+  const args = verify ? ['lfs', 'locks', '--verify', '--json'] : ['lfs', 'locks', '--json'];
+  return new Promise((resolve, reject) => {
+    execFile(gitBinary(), args, {
+      cwd: repoRoot(repo),
+      env: gitEnv(),
+      maxBuffer: 64 * 1024 * 1024,
+    }, (err, stdout, stderr) => {
+      if (err) {
+        reject(execError(`git ${args.join(' ')}`, err, stdout, stderr));
       } else {
         resolve(JSON.parse(stdout));
       }
     });
+  })
+  .then(locks => verify
+    ? [
+      ...(locks.ours || []).map(lock => ({ ...lock, ownership: 'ours' })),
+      ...(locks.theirs || []).map(lock => ({ ...lock, ownership: 'theirs' })),
+    ]
+    : locks)
+  .catch(err => {
+    if (verify && !LIST_LOCKS_FATAL.includes(err.code)) {
+      return listLocks(repo);
+    }
+    throw err;
   });
 }
 
+// The executables are chosen and saved through the main process, which hands them to the preload
+function getExecutables() {
+  return current();
+}
+
+// Run the version check against the configured executables
+function checkExecutables() {
+  return checkEnvironment();
+}
+
 module.exports = {
+  getExecutables,
+  checkExecutables,
   getRepoName,
   listLockableFiles,
+  streamLockableFiles,
+  cancelListing,
   lockFile,
   unlockFile,
   lockFiles,
   unlockFiles,
+  planLockFiles,
+  planUnlockFiles,
+  detectLockMode,
+  differsFromTip,
+  localChanges,
+  stashFiles,
+  discardFiles,
   getLockByPath,
+  listLocks,
+  commitAuthors,
   remotes,
   readLfsconfig,
   createLfsconfig,
@@ -0,0 +1,85 @@
+// Local log of the lock and unlock events seen in each repository, one JSON object per line.
+// Events: { type: 'lock' | 'unlock', path, owner, at, lockedAt, source, note }
+// The log is trimmed to its newest events once it grows past MAX_SIZE.
+
+const fs = require('fs');
+const path = require('path');
+const { userDataPath } = require('./paths');
+
+// 10,000 to 20,000 events; trimming keeps the newer half
+const MAX_SIZE = 2 * 1024 * 1024;
+const TRIMMED_SIZE = MAX_SIZE / 2;
+
+// Writes to a file one after the other, so trimming can't lose an event appended meanwhile
+const queues = new Map();
+
+function historyFile(repoid) {
+  return path.join(userDataPath(), 'history', `${path.basename(String(repoid))}.jsonl`);
+}
+
+function queued(file, task) {
+  const next = (queues.get(file) || Promise.resolve()).then(task, task);
+  queues.set(file, next);
+  return next.finally(() => {
+    if (queues.get(file) === next) {
+      queues.delete(file);
+    }
+  });
+}
+
+// The whole lines within the last `size` bytes of the file; '' when it doesn't exist
+async function readTail(file, size) {
+  let handle;
+  try {
+    handle = await fs.promises.open(file, 'r');
+  } catch (err) {
+    if (err.code === 'ENOENT') return '';
+    throw err;
+  }
+  try {
+    const { size: fileSize } = await handle.stat();
+    const start = Math.max(0, fileSize - size);
+    const buffer = Buffer.alloc(fileSize - start);
+    await handle.read(buffer, 0, buffer.length, start);
+    const data = buffer.toString('utf8');
+    // the first line is cut short unless the file is read from its start
+    return start === 0 ? data : data.slice(data.indexOf('\n') + 1);
+  } finally {
+    await handle.close();
+  }
+}
+
+async function trim(file) {
+  const { size } = await fs.promises.stat(file);
+  if (size <= MAX_SIZE) return;
+  const kept = await readTail(file, TRIMMED_SIZE);
+  const temp = `${file}.tmp`;
+  await fs.promises.writeFile(temp, kept);
+  await fs.promises.rename(temp, file);
+}
+
+function record(repoid, events) {
+  if (!events.length) return Promise.resolve();
+  const file = historyFile(repoid);
+  return queued(file, async () => {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.appendFile(file, events.map(e => `${JSON.stringify(e)}\n`).join(''));
+    await trim(file);
+  });
+}
+
+// The newest events, in the order they were recorded. Only the end of the file is read,
+// logs written before they were trimmed can be much longer.
+async function read(repoid) {
+  const data = await readTail(historyFile(repoid), MAX_SIZE);
+  return data.split('\n').filter(Boolean).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch (err) {
+      // a line cut short by a crash
+      return [];
+    }
+  });
+}
+
+module.exports = { record, read };
@@ -0,0 +1,60 @@
+// Lockable paths of each repository from its last full scan, kept between sessions.
+// A cache entry is { key, paths }; the key changes whenever a new scan could find other files.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { run } = require('./run');
+const { userDataPath } = require('./paths');
+
+const hash = text => crypto.createHash('sha1').update(text).digest('hex');
+
+// Without a userData folder (outside of the app) nothing is cached
+function cacheFile(repo) {
+  const dir = userDataPath();
+  return dir ? path.join(dir, 'lockable-cache', `${hash(path.resolve(repo))}.json`) : undefined;
+}
+
+// The commit checked out in every submodule, the listing recurses into them
+async function submoduleHeads(repo, root) {
+  if (!fs.existsSync(path.join(root, '.gitmodules'))) {
+    return '';
+  }
+  const { stdout } = await run(repo, 'git', ['submodule', 'status', '--recursive'], { cwd: root });
+  return stdout;
+}
+
+// Covers HEAD, the index file, the submodules and the content of every .gitattributes, committed or not
+async function stateKey(repo) {
+  const { stdout } = await run(repo, 'git', ['rev-parse', '--show-toplevel', '--absolute-git-dir', 'HEAD']);
+  const [root, gitDir, head] = stdout.trim().split('\n');
+  const index = await fs.promises.stat(path.join(gitDir, 'index'));
+  const { stdout: attributeFiles } = await run(repo, 'git', ['ls-files', '-z', '--', '.gitattributes', '*/.gitattributes'], { cwd: root });
+  const files = [
+    ...attributeFiles.split('\0').filter(Boolean).map(f => path.join(root, f)),
+    path.join(gitDir, 'info', 'attributes'),
+  ];
+  const contents = await Promise.all(files.map(f => fs.promises.readFile(f, 'utf8').catch(() => '')));
+  const submodules = await submoduleHeads(repo, root);
+  return hash([head, index.size, index.mtimeMs, submodules, ...files, ...contents].join('\0'));
+}
+
+async function read(repo) {
+  const file = cacheFile(repo);
+  if (!file) return null;
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (err) {
+    // missing, or cut short by a crash: scan again
+    return null;
+  }
+}
+
+async function write(repo, entry) {
+  const file = cacheFile(repo);
+  if (!file) return;
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(file, JSON.stringify(entry));
+}
+
+module.exports = { stateKey, read, write };
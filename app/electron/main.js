@@ -26,6 +26,9 @@ const crypto = require("crypto");
 const { autoUpdater } = require("electron-updater");
 const debounce = require('lodash/debounce');
 const enforceMacOSAppLocation = require('./enforceMacOSAppLocation');
+const { checkEnvironment, verifyExecutable } = require('./environment');
+const executables = require('./executables');
+const repoWatcher = require('./repo-watcher');
 const isDev = process.env.NODE_ENV === "development";
 const port = 40992; // Hardcoded; needs to match webpack.development.js and package.json
 const selfHost = `http://localhost:${port}`;
@@ -72,6 +75,10 @@ async function createWindow() {
   const minHeight = 650;
   locale = savedConfig.locale || 'en';
 
+  // Missing or outdated git/git-lfs installs are reported on the welcome page
+  executables.configure(executables.load(app.getPath("userData")));
+  const gitEnv = await checkEnvironment();
+
   // Create the browser window.
   win = new BrowserWindow({
     width: savedConfig.width || minWidth,
@@ -90,7 +97,11 @@ async function createWindow() {
       nodeIntegrationInSubFrames: false,
       contextIsolation: true,
       enableRemoteModule: false,
-      additionalArguments: [`--storePath=${store.sanitizePath(app.getPath("userData"))}`],
+      additionalArguments: [
+        `--storePath=${store.sanitizePath(app.getPath("userData"))}`,
+        `--gitEnv=${encodeURIComponent(JSON.stringify(gitEnv))}`,
+        `--executables=${encodeURIComponent(JSON.stringify(executables.current()))}`,
+      ],
       preload: path.join(__dirname, "preload.js"),
       /* eng-disable PRELOAD_JS_CHECK */
       disableBlinkFeatures: "Auxclick"
@@ -224,6 +235,91 @@ async function createWindow() {
     });
   });
 
+  // Executables picked in the git settings and not saved yet; '' is the one found on the PATH.
+  // Paths only ever come from the file dialog, never from the renderer.
+  let chosenExecutables = {};
+  const EXECUTABLE_KEYS = ['gitPath', 'gitLfsPath'];
+
+  const sendChosenExecutables = (key, path) => checkEnvironment({ ...executables.current(), ...chosenExecutables })
+    .then(check => win.webContents.send('executable-selected', { key, path, check }));
+
+  ipcMain.on('select-executable', async (e, { key }) => {
+    if (!EXECUTABLE_KEYS.includes(key)) return;
+    dialog.showOpenDialog(win, {
+      title: i18nextMainBackend.t('Select an executable'),
+      properties: ['openFile'],
+    }).then(({ canceled, filePaths: [ path ] }) => {
+      if (canceled) return;
+      return verifyExecutable(key, path)
+        .then(() => {
+          chosenExecutables[key] = path;
+          return sendChosenExecutables(key, path);
+        })
+        .catch(err => win.webContents.send('executable-selected', { key, path, error: err.message }));
+    }).catch((err) => {
+      console.log(err)
+    });
+  });
+
+  ipcMain.on('reset-executable', (e, { key }) => {
+    if (!EXECUTABLE_KEYS.includes(key)) return;
+    chosenExecutables[key] = '';
+    sendChosenExecutables(key, '').catch(err => console.log(err));
+  });
+
+  // Use the chosen executables from now on, in here and in the preload that runs the lock commands
+  ipcMain.on('save-executables', async () => {
+    const chosen = { ...executables.current(), ...chosenExecutables };
+    try {
+      const check = await checkEnvironment(chosen);
+      if (!check.git.found) {
+        win.webContents.send('executables-saved', { error: 'git-not-found', check });
+        return;
+      }
+      await executables.save(app.getPath("userData"), chosen);
+      executables.configure(chosen);
+      chosenExecutables = {};
+      win.webContents.send('executables-changed', chosen);
+      win.webContents.send('executables-saved', { executables: chosen, check });
+    } catch (err) {
+      console.log(err);
+      win.webContents.send('executables-saved', { error: err.message });
+    }
+  });
+
+  ipcMain.on('export-locks', (e, { format, content, defaultPath }) => {
+    dialog.showSaveDialog(win, {
+      title: i18nextMainBackend.t('Export Locks'),
+      defaultPath,
+      filters: [{ name: format.toUpperCase(), extensions: [format] }],
+    }).then(({ canceled, filePath }) => {
+      if (canceled || !filePath) {
+        win.webContents.send('export-locks-done', { canceled: true });
+        return;
+      }
+      return fs.promises.writeFile(filePath, content)
+        .then(() => win.webContents.send('export-locks-done', { path: filePath }));
+    }).catch((err) => {
+      console.log(err)
+      win.webContents.send('export-locks-done', { error: err.message });
+    });
+  });
+
+  // Only the open repository is watched; an empty path stops watching
+  ipcMain.on('watch-repo', (e, { path }) => {
+    if (!path) {
+      repoWatcher.stop();
+      return;
+    }
+    repoWatcher.watch(path, (change) => {
+      if (win && !win.isDestroyed()) {
+        win.webContents.send('repo-changed', change);
+      }
+    }).catch((err) => {
+      console.log(err)
+    });
+  });
+
   ipcMain.on('title-bar-double-click', () => {
     const actionOnDoubleClick = systemPreferences.getUserDefault(
       'AppleActionOnDoubleClick',
@@ -300,7 +396,7 @@ async function createWindow() {
   const partition = "default";
   ses.fromPartition(partition) /* eng-disable PERMISSION_REQUEST_HANDLER_JS_CHECK */
     .setPermissionRequestHandler((webContents, permission, permCallback) => {
-      const allowedPermissions = []; // Full list here: https://developer.chrome.com/extensions/declare_permissions#manifest
+      const allowedPermissions = ['notifications']; // Full list here: https://developer.chrome.com/extensions/declare_permissions#manifest
 
       if (allowedPermissions.includes(permission)) {
         permCallback(true); // Approve permission request
@@ -379,6 +475,12 @@ app.on("window-all-closed", () => {
     ContextMenu.clearMainBindings(ipcMain);
     SecureElectronLicenseKeys.clearMainBindings(ipcMain);
     ipcMain.removeAllListeners('select-repo');
+    ipcMain.removeAllListeners('select-executable');
+    ipcMain.removeAllListeners('export-locks');
+    ipcMain.removeAllListeners('watch-repo');
+    ipcMain.removeAllListeners('reset-executable');
+    ipcMain.removeAllListeners('save-executables');
+    repoWatcher.stop();
     ipcMain.removeAllListeners('title-bar-double-click');
     ipcMain.removeAllListeners('is-fullscreen');
     ipcMain.removeAllListeners('is-maximised');
@@ -170,6 +170,13 @@ const MenuBuilder = function(mainWindow, appName) {
               }
             ]
           },
+          {
+            label: i18nextMainBackend.t("Git Executables..."),
+            click: () => {
+              const mainWindow = BrowserWindow.getAllWindows()[0];
+              mainWindow.webContents.send('navigate', '/settings/git');
+            }
+          },
           {
             type: "separator"
           },
@@ -10,4 +10,10 @@ function joinRepo(repo, rel) {
   return path.join(repo, ...normPath(rel).split('/'));
 }
 
-module.exports = { normPath, joinRepo };
\ No newline at end of file
+// The userData folder, which main.js hands to the preload as --storePath (with backslashes sanitized to "||")
+function userDataPath() {
+  const arg = process.argv.find(a => a.startsWith('--storePath='));
+  return arg ? arg.slice('--storePath='.length).replace(/\|\|/g, '\\') : undefined;
+}
+
+module.exports = { normPath, joinRepo, userDataPath };
\ No newline at end of file
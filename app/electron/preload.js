@@ -5,6 +5,9 @@ const Store = require("secure-electron-store").default;
 const ContextMenu = require("secure-electron-context-menu").default;
 const SecureElectronLicenseKeys = require("secure-electron-license-keys");
 const git = require("./git");
+const executables = require("./executables");
+const history = require("./history");
+const { serializeError } = require("./errors");
 const process = require('process');
 const os = require('os');
 const { compareVersions } = require('compare-versions');
@@ -25,19 +28,45 @@ if (process.platform === 'darwin') {
   osVersion = os.release();
 }
 
+const storeBindings = store.preloadBindings(ipcRenderer, fs);
+
+// Run git with the executables chosen in the git settings. Only the main process picks them,
+// the renderer has no way to point git at another binary.
+const executablesArg = process.argv.find(arg => arg.startsWith('--executables='));
+executables.configure(executablesArg
+  ? JSON.parse(decodeURIComponent(executablesArg.slice('--executables='.length)))
+  : {});
+ipcRenderer.on('executables-changed', (e, chosen) => executables.configure(chosen));
+
+// Result of the git/git-lfs check the main process ran before opening the window
+const gitEnvArg = process.argv.find(arg => arg.startsWith('--gitEnv='));
+const gitEnv = gitEnvArg
+  ? JSON.parse(decodeURIComponent(gitEnvArg.slice('--gitEnv='.length)))
+  : undefined;
+
+// Reject with serializable errors so their code survives the context bridge
+const bridgeErrors = (api) => Object.fromEntries(Object.entries(api).map(([name, fn]) => [
+  name,
+  (...args) => Promise.resolve()
+    .then(() => fn(...args))
+    .catch(err => Promise.reject(serializeError(err))),
+]));
+
 // Expose protected methods that allow the renderer process to use
 // the ipcRenderer without exposing the entire object
 contextBridge.exposeInMainWorld("api", {
   i18nextElectronBackend: i18nextBackend.preloadBindings(ipcRenderer, process),
-  store: store.preloadBindings(ipcRenderer, fs),
+  store: storeBindings,
   contextMenu: ContextMenu.preloadBindings(ipcRenderer),
   licenseKeys: SecureElectronLicenseKeys.preloadBindings(ipcRenderer),
-  git,
+  git: bridgeErrors(git),
+  history: bridgeErrors(history),
   env: {
     win: process.platform === 'win32',
     mac: process.platform === 'darwin',
     linux: process.platform === 'linux',
     isBitSurOrLater: process.platform === 'darwin' && osVersion && compareVersions(osVersion, '10.16', '>='),
+    git: gitEnv,
   },
   ipc: {
     on(c, h) {
@@ -0,0 +1,94 @@
+// Watches the open repository for changes made outside of the app: the index and HEAD
+// (files added, renamed, checked out) and the attribute files (lockability).
+
+const fs = require('fs');
+const path = require('path');
+const debounce = require('lodash/debounce');
+const { run } = require('./run');
+
+// Git rewrites the index several times in a row for one command, so changes are reported once things settle
+const CHANGE_DELAY = 500;
+
+const GIT_DIR_FILES = ['index', 'HEAD'];
+
+let watchers = [];
+let current = null;
+
+function stop() {
+  current = null;
+  watchers.forEach(watcher => watcher.close());
+  watchers = [];
+}
+
+// Calls onChange({ path, files }) with the names of the watched files that changed.
+// Git replaces these files instead of writing to them, so their folders are watched rather than the files.
+async function watch(repo, onChange) {
+  stop();
+  const token = {};
+  current = token;
+  const { stdout } = await run(repo, 'git', ['rev-parse', '--show-toplevel', '--absolute-git-dir']);
+  const [root, gitDir] = stdout.trim().split('\n');
+
+  let changed = new Set();
+  const report = debounce(() => {
+    onChange({ path: repo, files: [...changed] });
+    changed = new Set();
+  }, CHANGE_DELAY);
+
+  // Resolves to the watcher, or null for a folder that doesn't exist (yet)
+  const watchFolder = (folder, names, onEvent = () => {}) => {
+    let watcher;
+    try {
+      watcher = fs.watch(folder, (eventType, filename) => {
+        if (filename && names.includes(filename)) {
+          changed.add(filename);
+          report();
+          onEvent(filename);
+        }
+      });
+    } catch (err) {
+      return null;
+    }
+    // e.g. the repository was deleted: stop quietly, the next refresh reports it
+    watcher.on('error', err => {
+      console.log(err);
+      watcher.close();
+    });
+    return watcher;
+  };
+
+  // Every folder with a tracked .gitattributes, found again whenever the index changes
+  let attributeWatchers = [];
+  const watchAttributes = async () => {
+    const { stdout: attributeFiles } = await run(repo, 'git', ['ls-files', '-z', '--', '.gitattributes', '*/.gitattributes'], { cwd: root });
+    if (current !== token) return;
+    const folders = new Set([
+      path.normalize(root),
+      ...attributeFiles.split('\0').filter(Boolean).map(f => path.dirname(path.join(root, f))),
+    ]);
+    attributeWatchers.forEach(watcher => watcher.close());
+    attributeWatchers = [
+      ...[...folders].map(folder => watchFolder(folder, ['.gitattributes'])),
+      watchFolder(path.join(gitDir, 'info'), ['attributes']),
+    ].filter(Boolean);
+  };
+
+  const rewatchAttributes = debounce(() => watchAttributes().catch(err => console.log(err)), CHANGE_DELAY);
+
+  // another repository was opened while this one was resolved
+  if (current !== token) return;
+  const gitDirWatcher = watchFolder(gitDir, GIT_DIR_FILES, filename => {
+    if (filename === 'index') {
+      rewatchAttributes();
+    }
+  });
+  watchers.push(
+    ...(gitDirWatcher ? [gitDirWatcher] : []),
+    { close: () => attributeWatchers.forEach(watcher => watcher.close()) },
+    { close: () => report.cancel() },
+    { close: () => rewatchAttributes.cancel() },
+  );
+  await watchAttributes();
+}
+
+module.exports = { watch, stop };
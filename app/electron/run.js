@@ -0,0 +1,29 @@
+// Spawn helper shared by the lock workflows
+
+const { spawn } = require('child_process');
+const { commandError } = require('./errors');
+const { gitBinary, gitEnv } = require('./executables');
+
+// `git` runs with the configured executables, or the ones given to try out a new setting
+function run(repo, cmd, args, { allowFail = false, cwd, executables } = {}) {
+  return new Promise((resolve, reject) => {
+    const command = [cmd, ...args].join(' ');
+    const child = spawn(cmd === 'git' ? gitBinary(executables) : cmd, args, {
+      cwd: cwd || repo,
+      env: gitEnv(executables),
+      windowsHide: true,
+    });
+    let out = '', err = '';
+    child.stdout.on('data', d => (out += d));
+    child.stderr.on('data', d => (err += d));
+    child.on('error', spawnError => reject(commandError({ command, spawnError })));
+    child.on('close', code => {
+      if (code !== 0 && !allowFail) {
+        return reject(commandError({ command, exitCode: code, stdout: out, stderr: err }));
+      }
+      resolve({ code, stdout: out, stderr: err });
+    });
+  });
+}
+
+module.exports = { run };
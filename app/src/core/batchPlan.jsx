@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from "react";
+import styled from 'styled-components';
+import { Box, Button, Checkbox, Dialog, Label, Spinner, Text, themeGet } from '@primer/react';
+import { ChecklistIcon } from '@primer/octicons-react';
+import { withTranslation } from "react-i18next";
+
+const StyledChecklistIcon = styled(ChecklistIcon)`
+  align-self: center;
+  margin-right: ${themeGet('space.2')};
+`;
+
+const PlanList = styled(Box)`
+  max-height: 300px;
+  overflow-y: auto;
+  margin-top: ${themeGet('space.2')};
+  border: 1px solid ${themeGet('colors.border.default')};
+  border-radius: ${themeGet('radii.2')};
+
+  & > *:not(:last-child) {
+    border-bottom: 1px solid ${themeGet('colors.border.default')};
+  }
+`;
+
+const PlanRow = styled.label`
+  display: flex;
+  align-items: center;
+  padding: ${themeGet('space.2')};
+
+  & > input {
+    margin-right: ${themeGet('space.2')};
+  }
+
+  & > span:first-of-type {
+    flex: 1;
+    word-break: break-all;
+    margin-right: ${themeGet('space.2')};
+  }
+`;
+
+const Flex = styled(Box)`
+  display: flex;
+`;
+
+export const isSkipped = action => action.startsWith('skip-');
+
+const actionLabels = {
+  'skip-dirty': ['Skipped: local changes', 'attention'],
+  'skip-missing': ['Skipped: missing', 'attention'],
+  'skip-not-lockable': ['Skipped: not lockable', 'attention'],
+  'sync': ['Sync from assets-tip, then lock', 'accent'],
+  'publish': ['Publish to assets-tip, then unlock', 'accent'],
+  'lock': ['Lock only', 'default'],
+  'unlock': ['Unlock only', 'default'],
+};
+
+// Confirmation dialog listing what a lock/unlock batch will do to every file.
+// Files can be unticked to drop them from the batch before anything is committed or pushed.
+function BatchPlan(props) {
+  const { t, plan, onConfirm, onCancel } = props;
+  const [excluded, setExcluded] = useState([]);
+  const returnFocusRef = React.useRef(null);
+
+  useEffect(() => {
+    setExcluded([]);
+  }, [plan]);
+
+  if (!plan) {
+    return null;
+  }
+
+  const items = plan.items || [];
+  const kept = items.filter(i => !isSkipped(i.action) && !excluded.includes(i.path));
+  const commits = kept.filter(i => i.action === 'sync').length;
+  const pushes = kept.filter(i => i.action === 'publish').length;
+
+  const toggle = (path) => {
+    setExcluded(excluded.includes(path)
+      ? excluded.filter(p => p !== path)
+      : [...excluded, path]);
+  };
+
+  return (
+    <Dialog isOpen returnFocusRef={returnFocusRef} onDismiss={onCancel} aria-labelledby="batch-plan-label">
+      <Dialog.Header>
+        <StyledChecklistIcon />
+        {plan.kind === 'lock' ? t('Review files to lock') : t('Review files to unlock')}
+      </Dialog.Header>
+      <Box p={3}>
+        {plan.loading ? (
+          <Flex justifyContent="center">
+            <Spinner size="medium" />
+          </Flex>
+        ) : (
+          <>
+            <Text id="batch-plan-label" fontFamily="sans-serif">
+              {commits > 0 ? `${t('Files synced from assets-tip and committed to your branch')}: ${commits}. ` : null}
+              {pushes > 0 ? `${t('Files published to assets-tip')}: ${pushes}. ` : null}
+              {commits === 0 && pushes === 0 ? t('No commits will be made.') : null}
+            </Text>
+            <PlanList>
+              {items.map(({ path, action }) => {
+                const [label, variant] = actionLabels[action] || [action, 'default'];
+                return (
+                  <PlanRow key={path}>
+                    <Checkbox
+                      checked={!isSkipped(action) && !excluded.includes(path)}
+                      disabled={isSkipped(action)}
+                      onChange={() => toggle(path)}
+                    />
+                    <span>{path}</span>
+                    <Label variant={variant}>{t(label)}</Label>
+                  </PlanRow>
+                );
+              })}
+            </PlanList>
+          </>
+        )}
+        <Flex mt={3} justifyContent="flex-end">
+          <Button sx={{ marginRight: 1 }} onClick={onCancel}>{t('Cancel')}</Button>
+          <Button
+            variant={plan.kind === 'lock' ? 'primary' : 'danger'}
+            disabled={plan.loading || kept.length === 0}
+            onClick={() => onConfirm(kept)}
+          >
+            {plan.kind === 'lock' ? t('Lock') : t('Unlock')} ({kept.length})
+          </Button>
+        </Flex>
+      </Box>
+    </Dialog>
+  );
+}
+
+export default withTranslation()(BatchPlan);
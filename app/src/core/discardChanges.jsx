@@ -0,0 +1,53 @@
+import React from "react";
+import styled from 'styled-components';
+import { Box, Button, Dialog, Text, themeGet } from '@primer/react';
+import { AlertIcon } from '@primer/octicons-react';
+import { withTranslation } from "react-i18next";
+
+const StyledAlertIcon = styled(AlertIcon)`
+  align-self: center;
+  margin-right: ${themeGet('space.2')};
+`;
+
+const FileList = styled(Box)`
+  max-height: 200px;
+  overflow-y: auto;
+  word-break: break-all;
+`;
+
+const Flex = styled(Box)`
+  display: flex;
+`;
+
+// Confirmation before throwing away the uncommitted changes of files; git keeps no copy to undo it with
+function DiscardChanges(props) {
+  const { t, paths, onConfirm, onCancel } = props;
+  const returnFocusRef = React.useRef(null);
+
+  return (
+    <Dialog isOpen={!!paths} returnFocusRef={returnFocusRef} onDismiss={onCancel} aria-labelledby="discard-changes-label">
+      <Dialog.Header>
+        <StyledAlertIcon />
+        {t('Discard local changes')}
+      </Dialog.Header>
+      {paths ? (
+        <Box p={3}>
+          <Text id="discard-changes-label" as="p">
+            {t('Your changes to these files are lost for good. Stash them instead to keep a copy.')}
+          </Text>
+          <FileList as="ul" my={2}>
+            {paths.map(path => <li key={path}>{path}</li>)}
+          </FileList>
+          <Flex mt={3} justifyContent="flex-end">
+            <Button sx={{ marginRight: 1 }} onClick={onCancel}>{t('Cancel')}</Button>
+            <Button variant="danger" onClick={() => onConfirm(paths)}>
+              {t('Discard and retry')} ({paths.length})
+            </Button>
+          </Flex>
+        </Box>
+      ) : null}
+    </Dialog>
+  );
+}
+
+export default withTranslation()(DiscardChanges);
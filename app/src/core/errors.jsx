@@ -1,6 +1,7 @@
 import React from "react";
 import styled from 'styled-components'
 import { useSelector, useDispatch } from 'react-redux';
+import { withTranslation } from "react-i18next";
 import { Box, themeGet } from '@primer/react';
 import { Banner } from '@primer/react/experimental';
 import { removeError } from 'Redux/components/errors/errorsSlice';
@@ -25,16 +26,25 @@ const ErrorBox = styled(Banner)`
   margin-bottom: ${themeGet('space.2')};
 `;
 
-export default function Errors() {
+function Errors(props) {
   const errors = useSelector((state) => state.errors.list);
   const dispatch = useDispatch();
+  const { t } = props;
 
   return (
     <ErrorsContainer>
-      {errors.map((err, index) => (
+      {errors.map(err => (
         // Critical banners currently don't allow dismiss action
-        <ErrorBox variant="warning" key={`${index}-${err}`} title={err} onDismiss={() => dispatch(removeError(err))} />
+        <ErrorBox
+          variant={err.variant || 'warning'}
+          key={err.id}
+          title={err.hint ? t(err.hint) : err.message}
+          description={err.hint ? (err.path ? `${err.path}: ${err.message}` : err.message) : null}
+          onDismiss={() => dispatch(removeError(err.id))}
+        />
       ))}
     </ErrorsContainer>
   );
 }
+
+export default withTranslation()(Errors);
@@ -0,0 +1,58 @@
+import get from 'lodash/get';
+import sortBy from 'lodash/sortBy';
+
+const isLocked = file => !!get(file, 'lock.locked_at');
+const isMine = file => get(file, 'lock.ownership') === 'ours';
+
+// Without a prototype, folders named "constructor" or "__proto__" are just more keys
+const folder = (name, path) => ({ name, path, folders: Object.create(null), files: [], total: 0, locked: 0, mine: 0 });
+
+// Groups files by directory: { name, path, folders: { name: node }, files, total, locked, mine }.
+// The counts include every file below the folder.
+export const buildTree = (files) => {
+  const root = folder('', '');
+  files.forEach(file => {
+    const parts = file.path.split('/');
+    let node = root;
+    const nodes = [root];
+    parts.slice(0, -1).forEach((name, index) => {
+      if (!node.folders[name]) {
+        node.folders[name] = folder(name, parts.slice(0, index + 1).join('/'));
+      }
+      node = node.folders[name];
+      nodes.push(node);
+    });
+    node.files.push(file);
+    nodes.forEach(n => {
+      n.total += 1;
+      n.locked += isLocked(file) ? 1 : 0;
+      n.mine += isMine(file) ? 1 : 0;
+    });
+  });
+  return root;
+};
+
+// Every file below the folder
+export const folderFiles = (node) => [
+  ...node.files,
+  ...Object.values(node.folders).flatMap(folderFiles),
+];
+
+// The rows to show, folders first: [{ type: 'folder', node, depth } | { type: 'file', file, depth }].
+// Only the children of expanded folders are listed unless expandAll is set.
+export const flattenTree = (node, { expanded = [], expandAll = false, lockedFirst = false } = {}, depth = 0) => {
+  const folders = sortBy(Object.values(node.folders), 'name');
+  let files = sortBy(node.files, 'path');
+  if (lockedFirst) {
+    files = sortBy(files, f => !isLocked(f));
+  }
+  return [
+    ...folders.flatMap(child => [
+      { type: 'folder', node: child, depth },
+      ...(expandAll || expanded.includes(child.path)
+        ? flattenTree(child, { expanded, expandAll, lockedFirst }, depth + 1)
+        : []),
+    ]),
+    ...files.map(file => ({ type: 'file', file, depth })),
+  ];
+};
@@ -0,0 +1,50 @@
+import React from "react";
+import { Box, Text, themeGet } from "@primer/react";
+import styled from 'styled-components';
+import { CheckCircleFillIcon, XCircleFillIcon } from '@primer/octicons-react';
+import { withTranslation } from "react-i18next";
+
+const ToolRow = styled(Box)`
+  display: flex;
+  align-items: center;
+
+  & > svg {
+    margin-right: ${themeGet('space.2')};
+  }
+`;
+
+const StyledOkIcon = styled(CheckCircleFillIcon)`
+  fill: ${themeGet('colors.success.fg')};
+`;
+
+const StyledFailIcon = styled(XCircleFillIcon)`
+  fill: ${themeGet('colors.danger.fg')};
+`;
+
+const toolStatus = (t, tool) => {
+  if (!tool.found) {
+    return t('Not found');
+  }
+  if (!tool.ok) {
+    return t('Version {{version}} found, {{minimum}} or newer is required', tool);
+  }
+  return t('Version {{version}}', tool);
+};
+
+// One row per tool of a git/git-lfs check: { git: { found, version, minimum, ok }, lfs: { ... } }
+function GitEnvironment(props) {
+  const { t, env } = props;
+  return (
+    <>
+      {[['Git', env.git], ['Git LFS', env.lfs]].map(([name, tool]) => (
+        <ToolRow key={name}>
+          {tool.ok ? <StyledOkIcon /> : <StyledFailIcon />}
+          <Text fontWeight="bold" mr={2}>{name}</Text>
+          <Text>{toolStatus(t, tool)}</Text>
+        </ToolRow>
+      ))}
+    </>
+  );
+}
+
+export default withTranslation()(GitEnvironment);
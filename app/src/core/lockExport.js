@@ -0,0 +1,31 @@
+import get from 'lodash/get';
+import moment from 'moment';
+
+const COLUMNS = ['path', 'lockOwner', 'lockId', 'lockedAt', 'lockAgeDays', 'isMissing', 'differsFromTip'];
+
+// One flat row per file of the files list; differs comes from window.api.git.differsFromTip
+export const exportRows = (files, differs = {}, now = moment()) => files.map(file => {
+  const lockedAt = get(file, 'lock.locked_at');
+  return {
+    path: file.path,
+    lockOwner: get(file, 'lock.owner.name', ''),
+    lockId: get(file, 'lock.id', ''),
+    lockedAt: lockedAt || '',
+    lockAgeDays: lockedAt ? Math.round(now.diff(moment(lockedAt), 'days', true) * 10) / 10 : '',
+    isMissing: !!file.isMissing,
+    // unknown without an assets tip
+    differsFromTip: file.path in differs ? differs[file.path] : '',
+  };
+});
+
+const csvField = (value) => {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => [
+  COLUMNS.join(','),
+  ...rows.map(row => COLUMNS.map(column => csvField(row[column])).join(',')),
+].join('\r\n');
+
+export const toJson = (rows) => JSON.stringify(rows, null, 2);
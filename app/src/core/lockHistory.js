@@ -0,0 +1,40 @@
+import get from 'lodash/get';
+
+// Events of the local lock history kept by window.api.history.
+// `source` tells where they were seen: 'self' (our own action), 'poll' or 'refresh'.
+
+export const lockEvent = (path, lock, source) => ({
+  type: 'lock',
+  path,
+  owner: get(lock, 'owner.name'),
+  lockId: get(lock, 'id'),
+  at: get(lock, 'locked_at') || new Date().toISOString(),
+  source,
+});
+
+export const unlockEvent = (path, lock, source, note) => ({
+  type: 'unlock',
+  path,
+  owner: get(lock, 'owner.name'),
+  lockId: get(lock, 'id'),
+  lockedAt: get(lock, 'locked_at'),
+  at: new Date().toISOString(),
+  source,
+  ...(note ? { note } : {}),
+});
+
+// History events for the changes found by diffLocks
+export const lockChangeEvents = ({ locked, released, changed }, source) => [
+  ...released.map(({ path, lock }) => unlockEvent(path, lock, source)),
+  ...changed.flatMap(({ path, lock, previous }) => [unlockEvent(path, previous, source), lockEvent(path, lock, source)]),
+  ...locked.map(({ path, lock }) => lockEvent(path, lock, source)),
+];
+
+// Failing to write the history must never get in the way of locking
+export const recordHistory = (repoid, events) => {
+  if (!events.length) {
+    return Promise.resolve();
+  }
+  return window.api.history.record(repoid, events)
+    .catch(err => console.error(err));
+};
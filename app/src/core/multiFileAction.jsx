@@ -1,10 +1,13 @@
 import React from "react";
 import styled from 'styled-components'
 import { useSelector, useDispatch } from 'react-redux';
-import { Box, themeGet } from '@primer/react';
+import { Box, Button, Dialog, Text, themeGet } from '@primer/react';
 import { Banner } from '@primer/react/experimental';
+import { PasskeyFillIcon } from '@primer/octicons-react';
 import { withTranslation } from "react-i18next";
 import { clearSelectedFiles } from 'Redux/components/files/filesSlice';
+import countBy from 'lodash/countBy';
+import get from 'lodash/get';
 
 const MultiFileActionContainer = styled(Box)`
   position: absolute;
@@ -30,32 +33,70 @@ const MultiFileActionBanner = styled(Banner)`
   }
 `;
 
+const StyledForceUnlockIcon = styled(PasskeyFillIcon)`
+  align-self: center;
+  margin-right: ${themeGet('space.2')};
+`;
+
+const Flex = styled(Box)`
+  display: flex;
+`;
+
 function MultiFileAction(props) {
   const dispatch = useDispatch();
   const selectedFiles = useSelector((state) => state.files.selectedFiles);
   const files = useSelector((state) => state.files.list);
   const [busy, setBusy] = React.useState(false);
+  // Other people's locks can only be unlocked once force mode is switched on
+  const [forceMode, setForceMode] = React.useState(false);
+  // { mine: [path], others: [{ path, owner }] } while a force unlock waits for confirmation
+  const [forcing, setForcing] = React.useState(null);
+  const returnFocusRef = React.useRef(null);
 
-  const selectedRows = React.useMemo(
-    () => selectedFiles.map(p => files.find(f => f.path === p)).filter(Boolean), [selectedFiles, files]
-  );
+  const selectedRows = React.useMemo(() => {
+    const byPath = new Map(files.map(f => [f.path, f]));
+    return selectedFiles.map(p => byPath.get(p)).filter(Boolean);
+  }, [selectedFiles, files]);
 
   const { t } = props;
 
   const allLocked = selectedRows.length > 0 && selectedRows.every(f => !!f.lock);
   const allUnlocked = selectedRows.length > 0 && selectedRows.every(f => !f.lock && !f.isMissing);
   const mixed = selectedRows.length > 0 && !(allLocked || allUnlocked);
+  const othersRows = selectedRows.filter(f => get(f, 'lock.ownership') === 'theirs');
+  const unlockedRows = selectedRows.filter(f => !f.lock && !f.isMissing);
+  const mineRows = selectedRows.filter(f => f.lock && get(f, 'lock.ownership') !== 'theirs');
+  const needsForce = allLocked && othersRows.length > 0 && !forceMode;
 
   const label = busy
     ? t('Working...')
-    : mixed || selectedRows.length === 0
-      ? t('Select only Locked or only unlocked')
-      : allUnlocked
-        ? t('Lock selected')
-        : t('Unlock selected');
+    : selectedRows.length === 0
+      ? t('Select files to lock or unlock')
+      : mixed
+        ? t('Invert locks')
+        : allUnlocked
+          ? t('Lock selected')
+          : othersRows.length
+            ? (forceMode ? t('Force unlock selected') : t('Some files are locked by others'))
+            : t('Unlock selected');
+
+  // Mixed selections run as a sequence of batches; files locked by others are left alone
+  const runSequence = (steps) => {
+    if (busy) return;
+    setBusy(true);
+    document.dispatchEvent(new CustomEvent('batch-sequence', { detail: steps }));
+  };
+  const paths = rows => rows.map(f => f.rawPath ?? f.path);
 
   const handleClick = () => {
-    if (busy || mixed || selectedRows.length === 0) return;
+    if (mixed) {
+      runSequence([
+        { kind: 'lock', paths: paths(unlockedRows) },
+        { kind: 'unlock', paths: paths(mineRows) },
+      ]);
+      return;
+    }
+    if (busy || needsForce || selectedRows.length === 0) return;
     setBusy(true);
     if (allUnlocked) {
       const batch = selectedRows
@@ -66,39 +107,102 @@ function MultiFileAction(props) {
       const batch = selectedRows
         .filter(f => f.lock)
         .map(f => f.rawPath ?? f.path);
-      document.dispatchEvent(new CustomEvent('unlock-batch', { detail: batch}));
+      if (!othersRows.length) {
+        document.dispatchEvent(new CustomEvent('unlock-batch', { detail: batch}));
+        return;
+      }
+      // Locks held by someone else need a force unlock, which gets its own confirmation
+      const others = othersRows.map(f => ({ path: f.rawPath ?? f.path, owner: get(f, 'lock.owner.name') }));
+      setForcing({
+        mine: batch.filter(p => !others.some(o => o.path === p)),
+        others,
+      });
     }
   };
 
+  const confirmForce = () => {
+    const { mine, others } = forcing;
+    setForcing(null);
+    document.dispatchEvent(new CustomEvent('force-unlock-batch', { detail: { mine, others: others.map(o => o.path) } }));
+  };
+
+  const cancelForce = () => {
+    setForcing(null);
+    setBusy(false);
+  };
+
   React.useEffect(() => {
     const done = () => setBusy(false);
     document.addEventListener('lock-batch-done', done);
     document.addEventListener('unlock-batch-done', done);
+    document.addEventListener('sequence-batch-done', done);
     return () => {
       document.removeEventListener('lock-batch-done', done);
       document.removeEventListener('unlock-batch-done', done);
+      document.removeEventListener('sequence-batch-done', done);
     };
   }, []);
 
 
   return (
-    <MultiFileActionContainer>
+    <MultiFileActionContainer ref={returnFocusRef}>
       <MultiFileActionBanner
         variant="info"
         title={`${t("Selected files")}: ${selectedRows.length}`}
         primaryAction={(
           <Banner.PrimaryAction
             variant={allUnlocked ? 'outline' : 'danger'}
-            disabled={busy || mixed || selectedRows.length === 0}
+            disabled={busy || needsForce || selectedRows.length === 0 || (mixed && !unlockedRows.length && !mineRows.length)}
             onClick={handleClick}
           >
             {label}
           </Banner.PrimaryAction>
         )}
+        secondaryAction={mixed ? (
+          <>
+            <Banner.SecondaryAction disabled={busy || !unlockedRows.length} onClick={() => runSequence([{ kind: 'lock', paths: paths(unlockedRows) }])}>
+              {t('Lock the {{count}} unlocked', { count: unlockedRows.length })}
+            </Banner.SecondaryAction>
+            <Banner.SecondaryAction disabled={busy || !mineRows.length} onClick={() => runSequence([{ kind: 'unlock', paths: paths(mineRows) }])}>
+              {t('Unlock the {{count}} I own', { count: mineRows.length })}
+            </Banner.SecondaryAction>
+          </>
+        ) : allLocked && othersRows.length ? (
+          <Banner.SecondaryAction disabled={busy} onClick={() => setForceMode(!forceMode)}>
+            {forceMode ? t('Leave force mode') : t('Force mode')}
+          </Banner.SecondaryAction>
+        ) : null}
         onDismiss={() => {
           dispatch(clearSelectedFiles());
         }}
       />
+      <Dialog isOpen={!!forcing} returnFocusRef={returnFocusRef} onDismiss={cancelForce} aria-labelledby="force-unlock-label">
+        <Dialog.Header>
+          <StyledForceUnlockIcon />
+          {t('Force unlock files locked by others')}
+        </Dialog.Header>
+        {forcing ? (
+          <Box p={3}>
+            <Text id="force-unlock-label" as="p">
+              {t('Files locked by someone else will be force unlocked. Their owners are not asked and may lose work they have not pushed.')}
+            </Text>
+            <Box as="ul" my={2}>
+              {Object.entries(countBy(forcing.others, o => o.owner || t('Unknown'))).map(([owner, count]) => (
+                <li key={owner}>{t('{{owner}}: {{count}} files', { owner, count })}</li>
+              ))}
+            </Box>
+            {forcing.mine.length ? (
+              <Text as="p">{t('Your own locks are unlocked as usual: {{count}} files', { count: forcing.mine.length })}</Text>
+            ) : null}
+            <Flex mt={3} justifyContent="flex-end">
+              <Button sx={{ marginRight: 1 }} onClick={cancelForce}>{t('Cancel')}</Button>
+              <Button variant="danger" onClick={confirmForce}>
+                {t('Force Unlock')} ({forcing.others.length})
+              </Button>
+            </Flex>
+          </Box>
+        ) : null}
+      </Dialog>
     </MultiFileActionContainer>
   );
 }
@@ -131,6 +131,7 @@ function Nav(props) {
   const repos = useSelector((state) => state.repos.list);
   const filesLastRefreshed = useSelector((state) => state.files.lastUpdated);
   const filesFetching = useSelector((state) => state.files.fetching);
+  const filesProgress = useSelector((state) => state.files.progress);
   const dispatch = useDispatch();
   const [dateString, setDateString] = useState('');
 
@@ -213,7 +214,9 @@ function Nav(props) {
           <Box className="description">
             {filesFetching ? (
               <>
-                {t('Hold on...')}
+                {filesProgress
+                  ? t('{{count}} lockable files found...', { count: filesProgress })
+                  : t('Hold on...')}
               </>
             ) : (
               <>
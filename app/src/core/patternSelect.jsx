@@ -0,0 +1,71 @@
+import React, { useEffect, useMemo, useState } from "react";
+import styled from 'styled-components';
+import { Box, Button, Dialog, FormControl, Text, TextInput, themeGet } from '@primer/react';
+import { FileDirectoryIcon } from '@primer/octicons-react';
+import { withTranslation } from "react-i18next";
+import { globToRegExp } from 'Core/utils';
+
+const StyledFileDirectoryIcon = styled(FileDirectoryIcon)`
+  align-self: center;
+  margin-right: ${themeGet('space.2')};
+`;
+
+const Flex = styled(Box)`
+  display: flex;
+`;
+
+// Dialog selecting every file whose path matches a glob such as "Characters/**/*.fbx"
+function PatternSelect(props) {
+  const { t, isOpen, paths, onSelect, onCancel } = props;
+  const [pattern, setPattern] = useState('');
+  const returnFocusRef = React.useRef(null);
+
+  useEffect(() => {
+    setPattern('');
+  }, [isOpen]);
+
+  const matches = useMemo(() => {
+    if (!pattern.trim()) {
+      return [];
+    }
+    const matcher = globToRegExp(pattern);
+    return paths.filter(path => matcher.test(path));
+  }, [pattern, paths]);
+
+  return (
+    <Dialog isOpen={isOpen} returnFocusRef={returnFocusRef} onDismiss={onCancel} aria-labelledby="pattern-select-label">
+      <Dialog.Header>
+        <StyledFileDirectoryIcon />
+        {t('Select files by pattern')}
+      </Dialog.Header>
+      <Box p={3} as="form" onSubmit={e => {
+        e.preventDefault();
+        if (matches.length) onSelect(matches);
+      }}>
+        <FormControl>
+          <FormControl.Label htmlFor="pattern-select-input">{t('Pattern')}</FormControl.Label>
+          <TextInput
+            id="pattern-select-input"
+            block
+            autoFocus
+            placeholder="Characters/**/*.fbx"
+            value={pattern}
+            onChange={({ target: { value } }) => setPattern(value)}
+          />
+          <FormControl.Caption>{t('* matches within a folder, ** across folders')}</FormControl.Caption>
+        </FormControl>
+        <Text id="pattern-select-label" as="p" mt={2}>
+          {t('Matching files: {{count}}', { count: matches.length })}
+        </Text>
+        <Flex mt={3} justifyContent="flex-end">
+          <Button sx={{ marginRight: 1 }} onClick={onCancel}>{t('Cancel')}</Button>
+          <Button type="submit" variant="primary" disabled={!matches.length}>
+            {t('Select')} ({matches.length})
+          </Button>
+        </Flex>
+      </Box>
+    </Dialog>
+  );
+}
+
+export default withTranslation()(PatternSelect);
@@ -12,7 +12,7 @@ import { v4 as uuidv4 } from 'uuid';
 import { NavLink, useNavigate } from "react-router-dom";
 import { DragDropContext, Droppable, Draggable } from 'react-beautiful-dnd';
 import State from 'Components/state/State';
-import { reorder } from 'Core/utils';
+import { reorder, NEW_REPO_LOCK_MODE } from 'Core/utils';
 import MenuBar from 'Core/menuBar';
 import { Scrollbars } from "react-custom-scrollbars-2";
 import { AutoSizer } from "react-virtualized";
@@ -155,6 +155,8 @@ function RepoSelector(props) {
             id: uuidv4(),
             path,
             name,
+            // The assets-tip workflow needs the tip branch on the remote, so it is only used once picked
+            defaultLockMode: NEW_REPO_LOCK_MODE,
           };
           const newArray = [...reposRef.current, repo];
           window.api.store.send(writeConfigRequest, 'repos', newArray);
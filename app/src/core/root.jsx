@@ -43,6 +43,10 @@ export default class Root extends React.Component {
       this.setState({ theme });
     });
 
+    window.api.ipc.on('navigate', (e, route) => {
+      this.props.history.push(route);
+    });
+
     window.api.ipc.on('resize', (e, data) => {
       window.api.store.send(writeUnprotectedConfigRequest, 'width', data.width);
       window.api.store.send(writeUnprotectedConfigRequest, 'height', data.height);
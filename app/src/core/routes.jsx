@@ -16,6 +16,18 @@ const RepoAttributes = loadable(() =>
 const LFSConfig = loadable(() =>
   import(/* webpackChunkName: "LFSConfigChunk" */ "Pages/repo/lfsconfig")
 );
+const AssetsTip = loadable(() =>
+  import(/* webpackChunkName: "AssetsTipChunk" */ "Pages/repo/assetsTip")
+);
+const LockHistory = loadable(() =>
+  import(/* webpackChunkName: "LockHistoryChunk" */ "Pages/repo/history")
+);
+const StaleLocks = loadable(() =>
+  import(/* webpackChunkName: "StaleLocksChunk" */ "Pages/repo/stale")
+);
+const GitSettings = loadable(() =>
+  import(/* webpackChunkName: "GitSettingsChunk" */ "Pages/settings/git")
+);
 
 class AppRoutes extends React.Component {
   render() {
@@ -25,6 +37,10 @@ class AppRoutes extends React.Component {
         <Route path={ROUTES.REPO} element={<Repo />} />
         <Route path={ROUTES.REPO_ATTRIBUTES} element={<RepoAttributes />}></Route>
         <Route path={ROUTES.REPO_LFS_CONFIG} element={<LFSConfig />}></Route>
+        <Route path={ROUTES.REPO_ASSETS_TIP} element={<AssetsTip />}></Route>
+        <Route path={ROUTES.REPO_HISTORY} element={<LockHistory />}></Route>
+        <Route path={ROUTES.REPO_STALE} element={<StaleLocks />}></Route>
+        <Route path={ROUTES.SETTINGS_GIT} element={<GitSettings />}></Route>
       </Routes>
     );
   }
@@ -1,13 +1,15 @@
-import React from "react";
+import React, { useEffect, useState } from "react";
 import { withTranslation } from "react-i18next";
 import { Button, Box, themeGet } from '@primer/react';
 import styled from 'styled-components';
 import { useSelector, useDispatch } from 'react-redux';
 import { toggle } from 'Redux/components/settings/settingsSlice';
-import { UploadIcon, FileBinaryIcon } from '@primer/octicons-react'
+import { saveRepoSettings } from 'Redux/components/repos/reposSlice';
+import { UploadIcon, FileBinaryIcon, GitBranchIcon, LockIcon, HistoryIcon, HourglassIcon } from '@primer/octicons-react'
 import { NavLink, useLocation } from "react-router-dom";
 import ROUTES from "Constants/routes";
 import MenuBar from 'Core/menuBar';
+import { gitOptions } from 'Core/utils';
 
 const OverflowContainer = styled(Box)`
   position: absolute;
@@ -88,7 +90,21 @@ function SettingsSelector(props) {
   const location = useLocation();
   const repoid = location.pathname.split('/')[1];
   const isOpen = useSelector((state) => state.settings.selectorOpen);
+  const repos = useSelector((state) => state.repos.list);
   const dispatch = useDispatch();
+  const [suggestedMode, setSuggestedMode] = useState(null);
+
+  const repo = repos.find(r => r.id === repoid);
+
+  useEffect(() => {
+    setSuggestedMode(null);
+    if (!isOpen || !repo) {
+      return;
+    }
+    window.api.git.detectLockMode(repo.path, gitOptions(repo))
+      .then(setSuggestedMode)
+      .catch(() => setSuggestedMode(null));
+  }, [isOpen, repoid]);
 
   if (!isOpen) {
     return null;
@@ -96,6 +112,12 @@ function SettingsSelector(props) {
 
   const { t } = props;
 
+  const lockMode = gitOptions(repo).mode;
+  const modeLabels = {
+    'assets-tip': t("Assets tip sync"),
+    'plain': t("Plain Git LFS"),
+  };
+
   return (
     <OverflowContainer>
       <BlackFill onClick={() => dispatch(toggle())} />
@@ -122,6 +144,55 @@ function SettingsSelector(props) {
             </Box>
           </TwoRowText>
         </StyledButton>
+        <StyledButton as={NavLink} to={ROUTES.REPO_ASSETS_TIP.replace(':repoid', repoid)}>
+          <GitBranchIcon size={16} />
+          <TwoRowText>
+            <Box className="title">
+              {t("Configure Assets Tip")}
+            </Box>
+            <Box className="description">
+              {t("Where locked assets are synced")}
+            </Box>
+          </TwoRowText>
+        </StyledButton>
+        <StyledButton
+          disabled={!repo}
+          onClick={() => dispatch(saveRepoSettings(repo.id, { lockMode: lockMode === 'plain' ? 'assets-tip' : 'plain' }))}
+        >
+          <LockIcon size={16} />
+          <TwoRowText>
+            <Box className="title">
+              {t("Locking Workflow")}: {modeLabels[lockMode]}
+            </Box>
+            <Box className="description">
+              {suggestedMode && suggestedMode !== lockMode
+                ? `${t("Suggested")}: ${modeLabels[suggestedMode]}`
+                : t("Click to switch")}
+            </Box>
+          </TwoRowText>
+        </StyledButton>
+        <StyledButton as={NavLink} to={ROUTES.REPO_HISTORY.replace(':repoid', repoid)}>
+          <HistoryIcon size={16} />
+          <TwoRowText>
+            <Box className="title">
+              {t("Lock History")}
+            </Box>
+            <Box className="description">
+              {t("Who held which file and for how long")}
+            </Box>
+          </TwoRowText>
+        </StyledButton>
+        <StyledButton as={NavLink} to={ROUTES.REPO_STALE.replace(':repoid', repoid)}>
+          <HourglassIcon size={16} />
+          <TwoRowText>
+            <Box className="title">
+              {t("Stale Locks")}
+            </Box>
+            <Box className="description">
+              {t("Old locks and locks held by inactive people")}
+            </Box>
+          </TwoRowText>
+        </StyledButton>
       </SettingsContainer>
       <BlackFill onClick={() => dispatch(toggle())} />
     </OverflowContainer>
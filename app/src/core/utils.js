@@ -1,3 +1,5 @@
+import get from 'lodash/get';
+
 export const reorder = (list, startIndex, endIndex) => {
   const result = Array.from(list);
   const [removed] = result.splice(startIndex, 1);
@@ -5,3 +7,87 @@ export const reorder = (list, startIndex, endIndex) => {
 
   return result;
 };
+
+// What an object keyed by file path holds for path; a file named "constructor" finds nothing inherited
+export const byPath = (map, path) => (map && Object.prototype.hasOwnProperty.call(map, path) ? map[path] : undefined);
+
+export const LOCK_MODES = ['assets-tip', 'plain'];
+
+// Workflow of repositories added from now on until one is picked. Repositories added before the
+// setting existed have no defaultLockMode and keep the assets-tip sync they always ran.
+export const NEW_REPO_LOCK_MODE = 'plain';
+
+export const DEFAULT_ASSETS_TIP = {
+  remote: 'origin',
+  branch: 'assets-tip',
+};
+
+// Per-repository settings passed as the last argument of the window.api.git lock/unlock calls
+export const gitOptions = (repo) => {
+  const tip = { ...DEFAULT_ASSETS_TIP, ...(repo && repo.assetsTip) };
+  return {
+    mode: (repo && (repo.lockMode || repo.defaultLockMode)) || 'assets-tip',
+    remote: tip.remote,
+    tipBranch: tip.branch,
+  };
+};
+
+// What changed between the locks in the file list and a fresh `git lfs locks` result
+export const diffLocks = (files, locks) => {
+  const current = new Map(files.filter(f => f.lock).map(f => [f.path, f.lock]));
+  const fresh = new Map(locks.map(lock => [lock.path, lock]));
+
+  const locked = [], released = [], changed = [];
+  fresh.forEach((lock, path) => {
+    const previous = current.get(path);
+    if (!previous) {
+      locked.push({ path, lock });
+    } else if (previous.id !== lock.id || get(previous, 'owner.name') !== get(lock, 'owner.name')) {
+      changed.push({ path, lock, previous });
+    }
+  });
+  current.forEach((lock, path) => {
+    if (!fresh.has(path)) {
+      released.push({ path, lock });
+    }
+  });
+  return { locked, released, changed };
+};
+
+// Lock owners are LFS server accounts, so they're matched loosely against git authors:
+// by name, by e-mail, or by the part of the e-mail before the "@". Undefined without a match.
+export const findAuthor = (owner, authors) => {
+  const name = String(owner || '').toLowerCase();
+  return name ? authors.find(author =>
+    author.name.toLowerCase() === name ||
+    author.email.toLowerCase() === name ||
+    author.email.toLowerCase().split('@')[0] === name) : undefined;
+};
+
+// Glob for selecting files: "*" and "?" stay within a folder, "**" crosses folders.
+// Patterns without a "/" match the file name in any folder, like in .gitignore. Case is ignored.
+// There are no character classes: brackets, like every other character, match themselves.
+export const globToRegExp = (glob) => {
+  const pattern = glob.trim().replace(/^\/+/, '');
+  let source = pattern.includes('/') ? '' : '(?:.*/)?';
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*' && pattern[i + 1] === '*') {
+      // "**/" also matches no folder at all
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else {
+      source += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+};
@@ -0,0 +1,190 @@
+import React, { useEffect, useState } from "react";
+import { Box, TextInput, Button, ActionList, ActionMenu, SegmentedControl, Text, themeGet, FormControl } from "@primer/react";
+import styled from 'styled-components';
+import { withTranslation } from "react-i18next";
+import { useParams, useNavigate } from "react-router-dom";
+import { useSelector, useDispatch } from 'react-redux';
+import { addError } from 'Redux/components/errors/errorsSlice';
+import { saveRepoSettings } from 'Redux/components/repos/reposSlice';
+import { NavLink } from "react-router-dom";
+import ROUTES from "Constants/routes";
+import { DEFAULT_ASSETS_TIP, LOCK_MODES, gitOptions } from 'Core/utils';
+import { Scrollbars } from "react-custom-scrollbars-2";
+import { AutoSizer } from "react-virtualized";
+
+const Background = styled(Box)`
+  display: flex;
+  flex: 1;
+  background-color: ${themeGet('colors.canvas.subtle')};
+
+  & label {
+    margin-top: ${themeGet('space.3')};
+  }
+`;
+
+const Content = styled(Box)`
+  display: flex;
+  flex: 1;
+  padding: ${themeGet('space.2')};
+  flex-direction: column;
+`;
+
+const TextBox = styled(Box)`
+  & > *:not(:last-child) {
+    margin-right: ${themeGet('space.1')};
+  }
+`;
+
+const ButtonRow = styled(Box)`
+  display: flex;
+  flex-direction: row;
+  margin-top: ${themeGet('space.4')};
+  margin-bottom: ${themeGet('space.2')};
+
+  & > *:not(:last-child) {
+    margin-right: ${themeGet('space.2')};
+  }
+`;
+
+const ButtonPrimary = styled(Button)`
+  &:hover {
+    color: ${themeGet('colors.btn.primary.text')};
+  }
+`;
+
+const StyledTextInput = styled(TextInput)`
+  width: 100%;
+`;
+
+function AssetsTip(props) {
+  const { repoid } = useParams();
+  const repos = useSelector((state) => state.repos.list);
+  const reposLoaded = useSelector((state) => state.repos.initialLoad);
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const [isLoading, setIsLoading] = useState(false);
+  const [remotes, setRemotes] = useState([]);
+  const [remote, setRemote] = useState(DEFAULT_ASSETS_TIP.remote);
+  const [branch, setBranch] = useState(DEFAULT_ASSETS_TIP.branch);
+  const [needsSaving, setNeedsSaving] = useState(false);
+  const [suggestedMode, setSuggestedMode] = useState(null);
+
+  let repo;
+  if (repoid) {
+    repo = repos.find(r => r.id === repoid);
+  } else {
+    repo = undefined;
+  }
+
+  useEffect(() => {
+    if (!repo) {
+      return;
+    }
+
+    const tip = { ...DEFAULT_ASSETS_TIP, ...repo.assetsTip };
+    setRemote(tip.remote);
+    setBranch(tip.branch);
+    setNeedsSaving(false);
+
+    setSuggestedMode(null);
+    window.api.git.detectLockMode(repo.path, gitOptions(repo))
+      .then(setSuggestedMode)
+      .catch(() => setSuggestedMode(null));
+
+    setIsLoading(true);
+    window.api.git.remotes(repo.path)
+      .then(setRemotes)
+      .catch(err => dispatch(addError(err)))
+      .finally(() => setIsLoading(false));
+  }, [repoid, !!repo]);
+
+  if (!repo) {
+    if (reposLoaded) {
+      navigate('/');
+    }
+    return null;
+  }
+
+  const { t } = props;
+
+  const lockMode = gitOptions(repo).mode;
+
+  const setLockMode = (mode) => {
+    dispatch(saveRepoSettings(repo.id, { lockMode: mode }));
+  };
+
+  const save = () => {
+    if (!branch.trim()) {
+      dispatch(addError(t('The branch name is required')));
+      return;
+    }
+
+    dispatch(saveRepoSettings(repo.id, { assetsTip: { remote, branch: branch.trim() } }));
+    setNeedsSaving(false);
+  };
+
+  return (
+    <Background bg="bg.primary">
+      <AutoSizer>
+        {({ width, height }) => (
+          <Scrollbars style={{ width, height }}>
+            <Content>
+              <TextBox>
+                <span>{t("Locking a file first syncs it from the assets tip branch, and unlocking publishes your version of the file to it. This way everybody locks the latest version of an asset, whichever branch they work on.")}</span>
+                <span>{t("Choose the remote and the branch your team uses as the assets tip.")}</span>
+              </TextBox>
+              <FormControl>
+                <FormControl.Label htmlFor="lock-mode">{t('Locking workflow')}</FormControl.Label>
+                <SegmentedControl id="lock-mode" aria-label={t('Locking workflow')} onChange={index => setLockMode(LOCK_MODES[index])}>
+                  <SegmentedControl.Button selected={lockMode === 'assets-tip'}>{t('Assets tip sync')}</SegmentedControl.Button>
+                  <SegmentedControl.Button selected={lockMode === 'plain'}>{t('Plain Git LFS')}</SegmentedControl.Button>
+                </SegmentedControl>
+                {suggestedMode ? (
+                  <FormControl.Caption>
+                    {suggestedMode === 'assets-tip'
+                      ? t('The remote has an assets tip branch. The assets tip sync workflow is suggested.')
+                      : t('The remote has no assets tip branch. Plain Git LFS locking is suggested.')}
+                    {suggestedMode !== lockMode ? (
+                      <Text as="span"> <Button variant="invisible" size="small" onClick={() => setLockMode(suggestedMode)}>{t('Use suggested')}</Button></Text>
+                    ) : null}
+                  </FormControl.Caption>
+                ) : null}
+              </FormControl>
+              <FormControl>
+                <FormControl.Label htmlFor="tip-remote-dropdown">{t('Select remote')}</FormControl.Label>
+                <ActionMenu id='tip-remote-dropdown'>
+                  <ActionMenu.Button as="summary" disabled={isLoading}>{remote || t('Select remote')}</ActionMenu.Button>
+                  <ActionMenu.Overlay>
+                    <ActionList>
+                      {remotes.map(rem => (
+                        <ActionList.Item key={rem} onClick={() => {
+                          setRemote(rem);
+                          setNeedsSaving(true);
+                        }}>{rem}</ActionList.Item>
+                      ))}
+                    </ActionList>
+                  </ActionMenu.Overlay>
+                </ActionMenu>
+              </FormControl>
+              <FormControl>
+                <FormControl.Label htmlFor="tip-branch">{t('Assets tip branch')}</FormControl.Label>
+                <StyledTextInput id="tip-branch" placeholder={DEFAULT_ASSETS_TIP.branch} value={branch} onChange={({ target: { value } }) => {
+                  setBranch(value);
+                  setNeedsSaving(true);
+                }} />
+              </FormControl>
+              <ButtonRow>
+                {needsSaving ? (
+                  <ButtonPrimary variant="primary" disabled={isLoading} onClick={save}>{t('Save')}</ButtonPrimary>
+                ) : null}
+                <Button variant="outline" disabled={isLoading} as={NavLink} to={ROUTES.REPO.replace(':repoid', repoid)}>{t('Back')}</Button>
+              </ButtonRow>
+            </Content>
+          </Scrollbars>
+        )}
+      </AutoSizer>
+    </Background>
+  );
+}
+
+export default withTranslation()(AssetsTip);
@@ -141,7 +141,7 @@ function GitAttributes(props) {
     setIsLoading(true);
     window.api.git.createGitAttributes(repo.path, rules)
       .then(() => setNeedsSaving(false))
-      .catch(err => dispatch(addError(err.message || err)))
+      .catch(err => dispatch(addError(err)))
       .finally(() => setIsLoading(false));
   }
 
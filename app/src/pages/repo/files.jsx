@@ -1,25 +1,36 @@
-import React, { useEffect, useState, useRef } from "react";
-import { Box, TextInput, Text, Tooltip, Button, ActionList, ActionMenu, Dialog, themeGet } from "@primer/react";
+import React, { useEffect, useState, useRef, useMemo } from "react";
+import { Box, TextInput, Text, Tooltip, Button, IconButton, ActionList, ActionMenu, Dialog, Label, themeGet } from "@primer/react";
 import { FilteredSearch } from '@primer/react/deprecated'
+import { Banner } from '@primer/react/experimental';
 import styled from 'styled-components';
-import { LockIcon, UnlockIcon, AlertIcon, FileIcon, FilterIcon, CheckIcon, PasskeyFillIcon } from '@primer/octicons-react';
+import { LockIcon, UnlockIcon, AlertIcon, FileIcon, FilterIcon, CheckIcon, EyeIcon, EyeClosedIcon, FileDirectoryIcon, ChevronRightIcon, ChevronDownIcon } from '@primer/octicons-react';
 import { withTranslation } from "react-i18next";
 import { useParams, useNavigate } from "react-router-dom";
 import { useSelector, useDispatch } from 'react-redux';
-import { startFetching, stopFetching, setFiles, lockFileLocal, unlockFileLocal, toggleSelectedFile, clearSelectedFiles } from 'Redux/components/files/filesSlice';
-import { addError } from 'Redux/components/errors/errorsSlice';
+import { startFetching, stopFetching, receiveFileBatch, setFiles, lockFileLocal, unlockFileLocal, toggleSelectedFile, selectFiles, clearSelectedFiles, setSkippedFiles, clearSkippedFile, setRowError, highlightFiles, clearHighlightedFiles, setLocalChanges, updateLocalChanges } from 'Redux/components/files/filesSlice';
+import { addError, addNotice } from 'Redux/components/errors/errorsSlice';
+import { saveRepoSettings } from 'Redux/components/repos/reposSlice';
+import { saveWatch, removeWatches } from 'Redux/components/watches/watchesSlice';
 import get from 'lodash/get';
 import isEmpty from 'lodash/isEmpty';
+import debounce from 'lodash/debounce';
 import sortBy from 'lodash/sortBy';
 import lodashFilter from 'lodash/filter';
 import { QuickScore } from 'quick-score';
 import latinize from 'latinize';
 import moment from 'moment';
-import { Scrollbars } from "react-custom-scrollbars-2";
-import { AutoSizer } from "react-virtualized";
+import { AutoSizer, List } from "react-virtualized";
 import { writeConfigRequest } from "secure-electron-store";
 import State from 'Components/state/State';
+import CloseButton from 'Components/close-button/CloseButton';
 import MultiFileAction from 'Core/multiFileAction';
+import BatchPlan from 'Core/batchPlan';
+import DiscardChanges from 'Core/discardChanges';
+import PatternSelect from 'Core/patternSelect';
+import { gitOptions, diffLocks, byPath } from 'Core/utils';
+import { lockEvent, unlockEvent, lockChangeEvents, recordHistory } from 'Core/lockHistory';
+import { exportRows, toCsv, toJson } from 'Core/lockExport';
+import { buildTree, flattenTree, folderFiles } from 'Core/fileTree';
 
 const Background = styled(Box)`
   flex: 1;
@@ -32,34 +43,69 @@ const FilterBox = styled(Box)`
   padding: ${themeGet('space.2')};
   display: flex;
 
-  & > *:first-child {
+  & > *:not(:last-child) {
     margin-right: ${themeGet('space.2')};
+  }
+
+  & > *:first-child {
     width: 100%;
   }
 `;
 
+const SuggestionBanner = styled(Banner)`
+  margin: ${themeGet('space.2')} ${themeGet('space.2')} 0;
+  width: auto;
+`;
+
 const FilterTextInput = styled(TextInput)`
   width: 100%;
 `;
 
-const FilesBox = styled(Box)`
-  margin: ${themeGet('space.2')};
-  margin-top: 0;
+// Every row has the same height so only the visible ones need to be rendered
+const ROW_HEIGHT = 45;
 
-  & > *:not(:last-child) {
-    border-bottom: 1px solid ${themeGet('colors.border.default')};
-  }
+const FileList = styled(List)`
+  outline: none;
 `;
 
+const RowFrame = styled.div`
+  padding: 0 ${themeGet('space.2')};
+`;
+
+const lockChangeColors = {
+  'locked': 'attention',
+  'changed': 'attention',
+  'released': 'success',
+};
+
+// Pixels each folder level is indented by in the tree view
+const TREE_INDENT = 20;
+
+// Locks held by us and by others are told apart by the row's left edge
+const ownershipColors = {
+  'ours': 'success',
+  'theirs': 'attention',
+};
+
 const FileBox = styled(Box)`
   display: flex;
+  height: 100%;
   padding: ${themeGet('space.2')};
   justify-content: space-between;
-
-  background-color: ${({ $selected, theme}) => 
+  transition: background-color 0.5s;
+  border-bottom: 1px solid ${themeGet('colors.border.default')};
+  outline: ${({ $cursor, theme }) => $cursor ? `2px solid ${theme?.colors?.accent?.fg}` : 'none'};
+  outline-offset: -2px;
+  border-left: 3px solid ${({ $ownership, theme }) =>
+    theme?.colors?.[ownershipColors[$ownership]]?.emphasis ?? 'transparent'};
+  ${({ $depth }) => $depth ? `padding-left: ${8 + $depth * TREE_INDENT}px;` : ''}
+
+  background-color: ${({ $selected, $lockChange, theme}) => 
     $selected
       ? (theme?.colors?.accent?.subtle ?? '#ddf4ff')
-      : 'transparent'};
+      : ($lockChange
+        ? theme?.colors?.[lockChangeColors[$lockChange]]?.subtle
+        : 'transparent')};
 
   &:hover {
     background-color: ${themeGet('colors.border.default')};
@@ -68,6 +114,13 @@ const FileBox = styled(Box)`
 
 const FileBoxSection = styled(Box)`
   display: flex;
+  min-width: 0;
+  white-space: nowrap;
+
+  & > span:last-child {
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
 
   & > *:first-child {
     margin-right: ${themeGet('space.2')};
@@ -117,22 +170,84 @@ const SelectionMarker = styled(Box)`
   left: 8px;
 `;
 
-const StyledForceUnlockIcon = styled(PasskeyFillIcon)`
-  align-self: center;
+const SkippedSection = styled(Box)`
+  display: flex;
+  margin-left: auto;
   margin-right: ${themeGet('space.2')};
+
+  & > *:not(:last-child) {
+    margin-right: ${themeGet('space.2')};
+  }
+
+  & > * {
+    align-self: center;
+  }
+`;
+
+const WatchSection = styled(Box)`
+  display: flex;
+  align-items: center;
+  margin-right: ${themeGet('space.2')};
+`;
+
+const RowAction = styled(Button)`
+  margin-left: ${themeGet('space.2')};
 `;
 
+const LocalSection = styled(Box)`
+  display: flex;
+  flex-shrink: 0;
+  align-items: center;
+  margin-left: ${themeGet('space.2')};
+
+  & > *:not(:last-child) {
+    margin-right: ${themeGet('space.1')};
+  }
+`;
+
+const localStatusLabels = {
+  'modified': 'Modified',
+  'staged': 'Staged',
+};
+
+const skippedLabels = {
+  'dirty': 'Skipped: local changes',
+  'missing': 'Skipped: missing',
+  'not-lockable': 'Skipped: not lockable',
+};
+
+const StyledErrorIcon = styled(AlertIcon)`
+  fill: ${themeGet('colors.danger.fg')};
+`;
+
+const lockErrorMessages = {
+  'locked-by-other': 'Already locked by {{owner}}',
+  'not-admin': 'Only repository admins can force unlock',
+  'not-lockable': 'This file is not lockable',
+  'dirty': 'This file has local changes',
+  'missing': 'This file is missing',
+  'network': 'Could not reach the server',
+};
+
 const FileRow = withTranslation()(function FileRow(props) {
   const [working, setWorking] = useState(false);
-  const [errorUnlocking, setErrorUnlocking] = useState(false);
   const dispatch = useDispatch();
   const selectedFiles = useSelector((state) => state.files.selectedFiles);
+  const skippedReason = useSelector((state) => byPath(state.files.skipped, props.rawPath));
+  const lockChange = useSelector((state) => byPath(state.files.highlighted, props.rawPath));
+  const watch = useSelector((state) => byPath(state.watches.byRepo[props.repo.id], props.rawPath));
+  const localChange = useSelector((state) => byPath(state.files.localChanges, props.rawPath));
+  // Kept in the store, rows scrolled out of view are unmounted
+  const rowError = useSelector((state) => byPath(state.files.rowErrors, props.rawPath));
 
   const lockFile = (e) => {
-    e.stopPropagation();
+    e && e.stopPropagation();
     if (working) return;
     setWorking(true);
-    props.onLock(props.rawPath);
+    props.onLock(props.rawPath)
+      .then(() => dispatch(setRowError({ path: props.rawPath })))
+      .catch(error => dispatch(setRowError({ path: props.rawPath, error })))
+      .finally(() => setWorking(false));
   };
 
   const unlockFile = (e) => {
@@ -140,8 +255,8 @@ const FileRow = withTranslation()(function FileRow(props) {
     if (working) return;
     setWorking(true);
     props.onUnlock(props.rawPath)
-      .then(() => setErrorUnlocking(false))
-      .catch(() => setErrorUnlocking(true))
+      .then(() => dispatch(setRowError({ path: props.rawPath })))
+      .catch(error => dispatch(setRowError({ path: props.rawPath, error })))
       .finally(() => setWorking(false));
   };
 
@@ -149,22 +264,21 @@ const FileRow = withTranslation()(function FileRow(props) {
     setWorking(false);
   }, [props.lockOwner, props.lastUpdated]);
 
-  useEffect(() => {
-    document.addEventListener(`lock-${props.path}`, lockFile);
-    document.addEventListener(`unlock-${props.path}`, unlockFile);
-    return () => {
-      document.removeEventListener(`lock-${props.path}`, lockFile);
-      document.removeEventListener(`unlock-${props.path}`, unlockFile);
-    };
-  }, []);
-
-  const isSelected = selectedFiles.includes(props.path);
+  const isSelected = selectedFiles.includes(props.rawPath);
+  // Changes to a file someone else may be changing too; a lock of unknown ownership is given the benefit of the doubt
+  const isUnguarded = !!localChange && ['modified', 'staged'].includes(localChange.status)
+    && (!props.lockOwner || props.lockOwnership === 'theirs');
   const { t } = props;
   return (
     <FileBox 
       $selected={isSelected}
+      $lockChange={lockChange}
+      $ownership={props.lockOwnership}
+      $depth={props.depth}
+      $cursor={props.isCursor}
       aria-selected={isSelected}
-      onClick={() => dispatch(toggleSelectedFile(props.path))}
+      onMouseDown={e => e.shiftKey && e.preventDefault()}
+      onClick={e => props.onSelect(props.rawPath, e)}
     >
       {isSelected ? <SelectionMarker/> : null}
       <FileBoxSection>
@@ -177,19 +291,90 @@ const FileRow = withTranslation()(function FileRow(props) {
         )}
         <span>{props.path}</span>
       </FileBoxSection>
+      {localChange ? (
+        <LocalSection>
+          {isUnguarded ? (
+            <Tooltip wrap noDelay direction="e" aria-label={t("You changed this file without holding its lock")}>
+              <Label variant="attention"><AlertIcon size={12} /> {t("Modified but not locked by you")}</Label>
+            </Tooltip>
+          ) : null}
+          {localChange.status && localChange.differsFromHead !== undefined ? (
+            <Tooltip wrap noDelay direction="e" aria-label={localChange.differsFromHead ? t("Your version differs from HEAD") : t("Your version matches HEAD")}>
+              <Label variant="secondary">{t(localStatusLabels[localChange.status])}</Label>
+            </Tooltip>
+          ) : null}
+          {localChange.status && localChange.differsFromHead === undefined ? (
+            <Label variant="secondary">{t(localStatusLabels[localChange.status])}</Label>
+          ) : null}
+          {localChange.differsFromTip ? (
+            <Tooltip wrap noDelay direction="e" aria-label={t("The assets tip has another version of this file")}>
+              <Label variant="accent">{t("Differs from tip")}</Label>
+            </Tooltip>
+          ) : null}
+        </LocalSection>
+      ) : null}
+      {skippedReason ? (
+        <SkippedSection onClick={e => e.stopPropagation()}>
+          <Label variant="attention">{t(skippedLabels[skippedReason] || skippedReason)}</Label>
+          {skippedReason === 'dirty' ? (
+            <>
+              <Button size="small" onClick={() => props.onStashAndRetry(props.rawPath)}>
+                {t('Stash and retry')}
+              </Button>
+              <Button size="small" variant="danger" onClick={() => props.onDiscardAndRetry(props.rawPath)}>
+                {t('Discard local changes and retry')}
+              </Button>
+            </>
+          ) : null}
+          <CloseButton size="small" onClick={() => dispatch(clearSkippedFile(props.rawPath))} />
+        </SkippedSection>
+      ) : null}
       <FileBoxSection>
+        {rowError ? (
+          <Tooltip wrap noDelay direction="w" aria-label={lockErrorMessages[rowError.code]
+            ? t(lockErrorMessages[rowError.code], { owner: rowError.owner || t('someone else') })
+            : (rowError.hint ? t(rowError.hint) : (rowError.message || String(rowError)))}>
+            <StyledErrorIcon size={16} />
+          </Tooltip>
+        ) : null}
+        {props.lockOwner || watch ? (
+          <WatchSection onClick={e => e.stopPropagation()}>
+            {watch ? (
+              <Button size="small" variant="invisible" onClick={() => dispatch(saveWatch(props.repo.id, props.rawPath, !watch.autoLock))}>
+                {t('Lock when released')} {watch.autoLock ? <CheckIcon /> : null}
+              </Button>
+            ) : null}
+            <IconButton
+              size="small"
+              variant="invisible"
+              icon={watch ? EyeClosedIcon : EyeIcon}
+              aria-label={watch ? t('Stop watching') : t('Watch until unlocked')}
+              onClick={() => watch
+                ? dispatch(removeWatches(props.repo.id, [props.rawPath]))
+                : dispatch(saveWatch(props.repo.id, props.rawPath, false))}
+            />
+          </WatchSection>
+        ) : null}
         {props.lockOwner ? (
           <>
-            <Tooltip wrap noDelay direction="w" aria-label={`${t("Locked")} ${moment(props.lockTime).fromNow()}`}>
-              {props.lockOwner}
+            <Tooltip wrap noDelay direction="w" aria-label={`${props.lockOwnership === 'ours' ? t("Locked by you") : t("Locked")} ${moment(props.lockTime).fromNow()}`}>
+              {props.lockOwnership === 'ours' ? <strong>{props.lockOwner}</strong> : props.lockOwner}
               <LockIcon size={16} />
             </Tooltip>
-            {/* removed per-row unlock button */}
+            {props.lockOwnership !== 'theirs' ? (
+              <RowAction size="small" disabled={working} onClick={unlockFile}>
+                {working ? t('Working...') : t('Unlock')}
+              </RowAction>
+            ) : null}
           </>
         ) : (
           <>
             <UnlockIcon size={16} />
-            {/* removed per-row lock button */}
+            {!props.isMissing ? (
+              <RowAction size="small" disabled={working} onClick={lockFile}>
+                {working ? t('Working...') : t('Lock')}
+              </RowAction>
+            ) : null}
           </>
         )}
       </FileBoxSection>
@@ -197,6 +382,53 @@ const FileRow = withTranslation()(function FileRow(props) {
   )
 });
 
+const FolderName = styled.span`
+  display: flex;
+  align-items: center;
+
+  & > svg {
+    margin-right: ${themeGet('space.1')};
+  }
+`;
+
+const FolderActions = styled(Box)`
+  display: flex;
+  align-items: center;
+
+  & > *:not(:last-child) {
+    margin-right: ${themeGet('space.2')};
+  }
+`;
+
+// A folder of the tree view with the lock counts of everything below it
+const FolderRow = withTranslation()(function FolderRow(props) {
+  const { t, node } = props;
+  const files = folderFiles(node);
+  const lockable = files.filter(f => !f.lock && !f.isMissing);
+  const unlockable = files.filter(f => f.lock && get(f, 'lock.ownership') !== 'theirs');
+
+  return (
+    <FileBox $depth={props.depth} $cursor={props.isCursor} aria-expanded={props.isExpanded} onClick={props.onToggle}>
+      <FolderName>
+        {props.isExpanded ? <ChevronDownIcon size={16} /> : <ChevronRightIcon size={16} />}
+        <FileDirectoryIcon size={16} />
+        {node.name}
+      </FolderName>
+      <FolderActions onClick={e => e.stopPropagation()}>
+        <Text color="fg.muted">
+          {t('{{locked}}/{{total}} locked, {{mine}} by you', { locked: node.locked, total: node.total, mine: node.mine })}
+        </Text>
+        <Button size="small" disabled={!lockable.length} onClick={() => props.onLock(lockable.map(f => f.path))}>
+          {t('Lock all')}
+        </Button>
+        <Button size="small" disabled={!unlockable.length} onClick={() => props.onUnlock(unlockable.map(f => f.path))}>
+          {t('Unlock mine')}
+        </Button>
+      </FolderActions>
+    </FileBox>
+  );
+});
+
 const highlight = (file, path) => {
   if (isEmpty(file.matches[path])) {
     return get(file.item, path);
@@ -219,6 +451,87 @@ const highlight = (file, path) => {
   return <span>{React.Children.toArray(substrings)}</span>;
 }
 
+const applyHardFilter = (files, hardFilter) => {
+  if (hardFilter == 'locked') {
+    return lodashFilter(files, f => get(f, 'lock.locked_at') || get(f, 'item.lock.locked_at'));
+  } else if (hardFilter == 'unlocked') {
+    return lodashFilter(files, f => !get(f, 'lock.locked_at') && !get(f, 'item.lock.locked_at'));
+  } else if (hardFilter == 'mine') {
+    return lodashFilter(files, f => (get(f, 'lock.ownership') || get(f, 'item.lock.ownership')) === 'ours');
+  }
+  return files;
+};
+
+// The rows of the file list: [{ type: 'folder', node, depth } | { type: 'file', file, match, depth }].
+// match is the search result when filtering, for highlighting.
+const listRows = (files, search, { filter, hardFilter, sort, view, expanded }) => {
+  if (view == 'tree') {
+    const treeFiles = filter
+      ? applyHardFilter(search.search(filter), hardFilter).map(file => file.item)
+      : applyHardFilter(files, hardFilter);
+    // While filtering every folder is open so all matches show
+    return flattenTree(buildTree(treeFiles), { expanded, expandAll: !!filter, lockedFirst: sort == 'locked' });
+  }
+  if (filter) {
+    return applyHardFilter(search.search(filter), hardFilter).map(match => ({ type: 'file', file: match.item, match, depth: 0 }));
+  }
+  let sortedFiles = sortBy(applyHardFilter(files, hardFilter), 'path');
+  if (sort == 'locked') {
+    sortedFiles = sortBy(sortedFiles, f => !get(f, 'lock.locked_at'));
+  }
+  return sortedFiles.map(file => ({ type: 'file', file, depth: 0 }));
+};
+
+const rowKey = row => row.type === 'folder' ? `folder-${row.node.path}` : row.file.path;
+
+// Rows the cursor moves by on each navigation key
+const CURSOR_MOVES = {
+  ArrowDown: 1,
+  ArrowUp: -1,
+  PageDown: 10,
+  PageUp: -10,
+};
+
+// Milliseconds of typing pause before the filter runs over the whole list
+const FILTER_DELAY = 150;
+
+// Scrolling has to settle before the changed files that came into view are compared
+const HASH_DELAY = 300;
+
+const MAX_BATCH_ERRORS = 5;
+
+// Seconds between two background `git lfs locks` queries, 0 turns polling off
+const POLL_INTERVALS = [0, 30, 60, 300];
+const HIGHLIGHT_DURATION = 5000;
+// Watched files are polled even with auto refresh off
+const WATCH_POLL_INTERVAL = 30;
+const MAX_NOTIFIED_CHANGES = 3;
+
+// A single desktop notification summing up the lock changes found by a poll
+const notifyLockChanges = (t, repo, { locked, released, changed }) => {
+  const lines = [
+    ...locked.map(({ path, lock }) => t('{{owner}} locked {{path}}', { path, owner: get(lock, 'owner.name') })),
+    ...changed.map(({ path, lock }) => t('{{path}} is now locked by {{owner}}', { path, owner: get(lock, 'owner.name') })),
+    ...released.map(({ path }) => t('{{path}} was unlocked', { path })),
+  ];
+  if (!lines.length) {
+    return;
+  }
+  if (lines.length > MAX_NOTIFIED_CHANGES) {
+    lines.splice(MAX_NOTIFIED_CHANGES, lines.length, t('and {{count}} more changes', { count: lines.length - MAX_NOTIFIED_CHANGES }));
+  }
+  new Notification(repo.name, { body: lines.join('\n') });
+};
+
+const pollIntervalText = (t, seconds) => {
+  if (!seconds) {
+    return t('Auto Refresh Off');
+  }
+  return seconds < 60
+    ? t('Every {{count}} seconds', { count: seconds })
+    : t('Every {{count}} minutes', { count: seconds / 60 });
+};
+
 const quickScoreOptions = {
   transformString: s => latinize(s).toLowerCase(),
   keys: ["path", "lock.owner.name"],
@@ -232,17 +545,54 @@ function Files(props) {
 
   const [sort, setSort] = useState(savedData['sort'] || 'locked');
   const [hardFilter, setHardFilter] = useState(savedData['hardFilter'] || 'all');
+  const [view, setView] = useState(savedData['fileView'] || 'list');
+  // repository id → paths of the folders expanded in the tree view
+  const [expandedFolders, setExpandedFolders] = useState(savedData['expandedFolders'] || {});
+  const [pollInterval, setPollInterval] = useState(savedData['pollInterval'] || 0);
   const repos = useSelector((state) => state.repos.list);
   const files = useSelector((state) => state.files.list);
   const filesLastUpdated = useSelector((state) => state.files.lastUpdated);
   const isRepoSelectorOpen = useSelector((state) => state.repos.selectorOpen);
   const reposLoaded = useSelector((state) => state.repos.initialLoad);
   const selectedFiles = useSelector((state) => state.files.selectedFiles);
+  const localChanges = useSelector((state) => state.files.localChanges);
+  const selectionAnchor = useSelector((state) => state.files.selectionAnchor);
+  const watches = useSelector((state) => state.watches.byRepo[repoid]);
   const navigate = useNavigate();
   const dispatch = useDispatch();
   const searchLib = useRef(new QuickScore([], quickScoreOptions));
   const filterField = useRef();
   const isRepoSelectorOpenRef = useRef();
+  const batchRunning = useRef(false);
+  const filesRef = useRef([]);
+  const listedRepo = useRef();
+  const watchesRef = useRef();
+  const [plan, setPlan] = useState(null);
+  // Identifies the review on screen; plans that arrive for a cancelled or replaced review are dropped
+  const reviewToken = useRef(null);
+  const [isExporting, setIsExporting] = useState(false);
+  const [isPatternSelectOpen, setIsPatternSelectOpen] = useState(false);
+  // Files waiting for the user to confirm that their local changes may be thrown away
+  const [discarding, setDiscarding] = useState(null);
+  const [suggestedMode, setSuggestedMode] = useState(null);
+  const shownPaths = useRef([]);
+  // Key of the row keyboard navigation is on
+  const [cursor, setCursor] = useState(null);
+  const keyHandler = useRef();
+  const applyFilter = useMemo(() => debounce(setFilter, FILTER_DELAY), []);
+  // Paths of the file rows on screen, the only changed files whose content is compared besides locked ones
+  const visiblePaths = useRef([]);
+  const compareVisible = useRef();
+  const onRowsShown = useMemo(() => debounce(() => compareVisible.current(), HASH_DELAY), []);
+
+  const expanded = expandedFolders[repoid] || [];
+  const rows = useMemo(
+    () => listRows(files, searchLib.current, { filter, hardFilter, sort, view, expanded }),
+    [files, filter, hardFilter, sort, view, expandedFolders, repoid]
+  );
+  shownPaths.current = rows.filter(row => row.type === 'file').map(row => row.file.path);
+  const allPaths = useMemo(() => files.map(f => f.path), [files]);
+  const cursorIndex = rows.findIndex(row => rowKey(row) === cursor);
 
   let repo;
   if (repoid) {
@@ -251,35 +601,182 @@ function Files(props) {
     repo = undefined;
   }
 
-  const refreshFiles = () => {
+  // With rescan only the lockable paths are listed again and matched to the locks already shown
+  const listFiles = ({ rescan = false } = {}) => {
     if (!repo) {
       return;
     }
 
-    dispatch(startFetching());
-    window.api.git.listLockableFiles(repo.path)
+    // A repository shown for the first time fills its list while git is still listing;
+    // a refresh keeps the current list until the new one is complete
+    const isFresh = listedRepo.current !== repoid;
+    const locks = rescan && !isFresh ? filesRef.current.filter(f => f.lock).map(f => ({ ...f.lock, path: f.path })) : undefined;
+    dispatch(startFetching({ reset: isFresh }));
+    window.api.git.streamLockableFiles(repo.path, ({ paths, count }) => {
+      dispatch(receiveFileBatch({ paths: isFresh ? paths : [], count }));
+    }, { locks })
       .then(files => {
         document.dispatchEvent(new CustomEvent(`update-${repoid}`, { detail: files }));
+        // A rescan follows a change to the index or working tree, so the badges are due too
+        refreshLocalChanges(files.map(f => f.path));
       })
       .catch(err => {
-        document.dispatchEvent(new CustomEvent(`error-${repoid}`, { detail: err }));
+        // Switching repository or refreshing again cancels the listing
+        if (err.code !== 'canceled') {
+          document.dispatchEvent(new CustomEvent(`error-${repoid}`, { detail: err }));
+        }
       });
   };
 
+  // Working tree state of the listed files, shown next to their locks
+  const refreshLocalChanges = (paths) => {
+    const locked = filesRef.current.filter(f => f.lock).map(f => f.path);
+    window.api.git.localChanges(repo.path, paths, [...locked, ...visiblePaths.current], gitOptions(repo))
+      .then(changes => {
+        if (listedRepo.current === repoid) {
+          dispatch(setLocalChanges(changes));
+          // rows shown while git was still listing
+          onRowsShown();
+        }
+      })
+      .catch(err => console.error(err));
+  };
+
+  // Changed files scrolled into view only had their status so far
+  compareVisible.current = () => {
+    const paths = visiblePaths.current.filter(path => {
+      const change = byPath(localChanges, path);
+      return change && change.status && change.differsFromHead === undefined;
+    });
+    if (!repo || !paths.length) {
+      return;
+    }
+    window.api.git.localChanges(repo.path, paths, paths, gitOptions(repo))
+      .then(changes => {
+        if (listedRepo.current === repoid) {
+          dispatch(updateLocalChanges(changes));
+        }
+      })
+      .catch(err => console.error(err));
+  };
+
+  const refreshFiles = () => listFiles();
+
   const focusFilter = () => {
     if (filterField.current && !isRepoSelectorOpenRef.current) {
       filterField.current.focus();
     }
   };
 
+  const toggleFolder = (path) => {
+    const next = {
+      ...expandedFolders,
+      [repoid]: expanded.includes(path) ? expanded.filter(p => p !== path) : [...expanded, path],
+    };
+    setExpandedFolders(next);
+    window.api.store.send(writeConfigRequest, 'expandedFolders', next);
+  };
+
+  // Arrow keys and Page Up/Down move the cursor, with Shift they also select the rows passed.
+  // Space selects the file under the cursor or opens its folder, Left/Right close and open folders.
+  const moveCursor = (e) => {
+    const row = rows[cursorIndex];
+    if (e.key in CURSOR_MOVES || e.key === 'Home' || e.key === 'End') {
+      const target = e.key === 'Home'
+        ? 0
+        : e.key === 'End'
+          ? rows.length - 1
+          : Math.max(0, Math.min(rows.length - 1, cursorIndex + CURSOR_MOVES[e.key]));
+      if (!rows[target]) return;
+      setCursor(rowKey(rows[target]));
+      if (e.shiftKey && cursorIndex !== -1) {
+        const passed = rows.slice(Math.min(cursorIndex, target), Math.max(cursorIndex, target) + 1)
+          .filter(r => r.type === 'file')
+          .map(r => r.file.path);
+        dispatch(selectFiles({ paths: passed, anchor: rows[target].type === 'file' ? rows[target].file.path : undefined }));
+      }
+    } else if (!row) {
+      return;
+    } else if (e.key === ' ') {
+      if (row.type === 'folder') {
+        toggleFolder(row.node.path);
+      } else {
+        dispatch(toggleSelectedFile(row.file.path));
+      }
+    } else if (row.type === 'folder' && (e.key === 'ArrowRight') !== expanded.includes(row.node.path)) {
+      // Right opens a closed folder, Left closes an open one
+      toggleFolder(row.node.path);
+    }
+  };
+
+  // Outside of text fields typing jumps to the filter and Ctrl/Cmd+A selects every shown row.
+  // Up/Down also work from the filter so a search can be followed by picking a result.
+  keyHandler.current = (e) => {
+    const isNavigation = e.key in CURSOR_MOVES || ['Home', 'End', ' ', 'ArrowLeft', 'ArrowRight'].includes(e.key);
+    const fromFilter = e.target === filterField.current && ['ArrowDown', 'ArrowUp', 'PageDown', 'PageUp'].includes(e.key);
+    const hasDialog = isRepoSelectorOpenRef.current || plan || isPatternSelectOpen || discarding;
+    if (isNavigation && !hasDialog && (fromFilter || !['INPUT', 'TEXTAREA', 'BUTTON'].includes(e.target.tagName))) {
+      e.preventDefault();
+      moveCursor(e);
+      return;
+    }
+    if (['INPUT', 'TEXTAREA'].includes(e.target.tagName) || ['Control', 'Meta', 'Shift', 'Alt'].includes(e.key)) {
+      return;
+    }
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'a') {
+      e.preventDefault();
+      dispatch(selectFiles({ paths: shownPaths.current }));
+      return;
+    }
+    focusFilter();
+  };
+  const onKeyDown = e => keyHandler.current(e);
+
+  // Notify about watched files that got unlocked and lock the ones asked for.
+  // Returns the watched paths so they aren't reported twice.
+  const releaseWatches = (released) => {
+    const watched = released.filter(({ path }) => byPath(watchesRef.current, path));
+    if (!watched.length) {
+      return [];
+    }
+
+    const { t } = props;
+    const paths = watched.map(({ path }) => path);
+    const toLock = paths.filter(path => byPath(watchesRef.current, path).autoLock);
+    paths.forEach(path => {
+      new Notification(repo.name, {
+        body: toLock.includes(path)
+          ? t('{{path}} was unlocked, locking it for you', { path })
+          : t('{{path}} was unlocked and is free to lock', { path }),
+      });
+    });
+    dispatch(removeWatches(repoid, paths));
+    if (toLock.length) {
+      document.dispatchEvent(new CustomEvent('lock-batch-now', { detail: toLock }));
+    }
+    return paths;
+  };
+
   const handleFiles = (e) => {
     const { detail: files } = e;
+    if (listedRepo.current === repoid) {
+      const changes = diffLocks(filesRef.current, files.filter(f => f.lock).map(f => ({ ...f.lock, path: f.path })));
+      recordHistory(repoid, lockChangeEvents(changes, 'refresh'));
+      releaseWatches(changes.released);
+    } else {
+      // Locks released while the repository wasn't shown, e.g. while the app was closed
+      const held = new Set(files.filter(f => f.lock).map(f => f.path));
+      releaseWatches(Object.keys(watchesRef.current || {})
+        .filter(path => !held.has(path))
+        .map(path => ({ path })));
+    }
+    listedRepo.current = repoid;
     searchLib.current.setItems(files);
     dispatch(setFiles(files));
   };
 
   const handleError = ({ detail: err }) => {
-    dispatch(addError(err.message || err));
+    dispatch(addError(err));
     dispatch(stopFetching());
   };
 
@@ -287,6 +784,79 @@ function Files(props) {
     isRepoSelectorOpenRef.current = isRepoSelectorOpen;
   }, [isRepoSelectorOpen]);
 
+  useEffect(() => {
+    filesRef.current = files;
+  }, [files]);
+
+  useEffect(() => {
+    watchesRef.current = watches;
+  }, [watches]);
+
+  useEffect(() => {
+    window.api.ipc.on('export-locks-done', (e, { error }) => {
+      setIsExporting(false);
+      if (error) {
+        dispatch(addError(error));
+      }
+    });
+    return () => {
+      window.api.ipc.removeAllListeners('export-locks-done');
+    };
+  }, []);
+
+  const effectivePollInterval = pollInterval || (isEmpty(watches) ? 0 : WATCH_POLL_INTERVAL);
+
+  // Pick up locks taken and released by others without waiting for a manual refresh
+  useEffect(() => {
+    if (!repo || !effectivePollInterval) {
+      return;
+    }
+
+    const applyLockChanges = (locks) => {
+      const changes = diffLocks(filesRef.current, locks);
+      const { locked, released, changed } = changes;
+      const known = new Set(filesRef.current.map(f => f.path));
+      if (locked.some(({ path }) => !known.has(path))) {
+        // a lock on a file that isn't in our branch needs a row first
+        refreshFiles();
+      }
+
+      [...locked, ...changed].forEach(({ path, lock }) => dispatch(lockFileLocal({ filePath: path, lock })));
+      released.forEach(({ path }) => dispatch(unlockFileLocal(path)));
+      recordHistory(repo.id, lockChangeEvents(changes, 'poll'));
+
+      const highlights = [
+        ...locked.map(({ path }) => ({ path, change: 'locked' })),
+        ...changed.map(({ path }) => ({ path, change: 'changed' })),
+        ...released.map(({ path }) => ({ path, change: 'released' })),
+      ];
+      if (highlights.length) {
+        dispatch(highlightFiles(highlights));
+        setTimeout(() => dispatch(clearHighlightedFiles(highlights.map(h => h.path))), HIGHLIGHT_DURATION);
+      }
+      const watched = releaseWatches(released);
+      if (pollInterval) {
+        notifyLockChanges(props.t, repo, { locked, changed, released: released.filter(({ path }) => !watched.includes(path)) });
+      }
+    };
+
+    let polling = false;
+    const timer = setInterval(() => {
+      // Batches update the list themselves; don't report their own changes back
+      if (polling || batchRunning.current) {
+        return;
+      }
+      polling = true;
+      window.api.git.listLocks(repo.path, { verify: true })
+        .then(applyLockChanges)
+        .catch(err => console.error(err))
+        .finally(() => {
+          polling = false;
+        });
+    }, effectivePollInterval * 1000);
+    return () => clearInterval(timer);
+  }, [repoid, !!repo, pollInterval, effectivePollInterval]);
+
   useEffect(() => {
     document.addEventListener(`update-${repoid}`, handleFiles);
     document.addEventListener(`error-${repoid}`, handleError);
@@ -294,18 +864,60 @@ function Files(props) {
       document.removeEventListener(`update-${repoid}`, handleFiles);
       document.removeEventListener(`error-${repoid}`, handleError);
     }
-  }, [repoid]);
+    // the notifications of released watches need the repository once it is loaded
+  }, [repoid, !!repo]);
 
   useEffect(() => {
     refreshFiles();
   }, [repoid, repos]);
 
+  useEffect(() => {
+    if (!repo) {
+      return;
+    }
+    const { path } = repo;
+    return () => {
+      window.api.git.cancelListing(path);
+      dispatch(stopFetching());
+    };
+  }, [repoid, !!repo]);
+
+  // Files added, renamed or made lockable by other tools show up without a manual refresh
+  useEffect(() => {
+    if (!repo) {
+      return;
+    }
+    const { path } = repo;
+    // The index, HEAD and attribute files only tell which files are lockable, the locks are left alone
+    window.api.ipc.on('repo-changed', (e, change) => {
+      if (change.path === path && change.files.length) {
+        listFiles({ rescan: true });
+      }
+    });
+    window.api.ipc.send('watch-repo', { path });
+    return () => {
+      window.api.ipc.removeAllListeners('repo-changed');
+      window.api.ipc.send('watch-repo', { path: null });
+    };
+  }, [repoid, !!repo]);
+
+  useEffect(() => {
+    // Repositories that never picked a locking workflow are offered the one matching their remote
+    setSuggestedMode(null);
+    if (!repo || repo.lockMode) {
+      return;
+    }
+    window.api.git.detectLockMode(repo.path, gitOptions(repo))
+      .then(setSuggestedMode)
+      .catch(err => console.error(err));
+  }, [repoid, !!repo]);
+
   useEffect(() => {
     document.addEventListener('refreshFiles', refreshFiles);
-    document.addEventListener('keydown', focusFilter);
+    document.addEventListener('keydown', onKeyDown);
     return () => {
       document.removeEventListener('refreshFiles', refreshFiles);
-      document.removeEventListener('keydown', focusFilter);
+      document.removeEventListener('keydown', onKeyDown);
     };
   }, []);
 
@@ -316,153 +928,339 @@ function Files(props) {
     return null;
   }
 
+  // Single-file lock/unlock; errors are shown on the row that triggered them
   const onLock = (filePath) => {
-    //const norm = p => p.replace(/\\/g, '/');
-    window.api.git.lockFile(repo.path, filePath)
-      .then(() => window.api.git.getLockByPath(repo.path, filePath))
-      .then(lock => dispatch(lockFileLocal({ filePath: filePath, lock: lock[0] })))
-      .catch(err => dispatch(addError(err.message || String(err))));
+    return window.api.git.lockFile(repo.path, filePath, gitOptions(repo))
+      .then(lock => {
+        dispatch(lockFileLocal({ filePath, lock: { ...lock, ownership: 'ours' } }));
+        recordHistory(repo.id, [lockEvent(filePath, lock, 'self')]);
+      });
   };
 
   const onUnlock = (filePath, force) => {
-    //const norm = p => p.replace(/\\/g, '/');
-    return window.api.git.unlockFile(repo.path, filePath, force)
-      .then(() => dispatch(unlockFileLocal(filePath)))
-      .catch(err => {
-        dispatch(addError(err.message || err));
-        throw err;
+    const { lock } = files.find(f => f.path === filePath) || {};
+    return window.api.git.unlockFile(repo.path, filePath, force, gitOptions(repo))
+      .then(() => {
+        dispatch(unlockFileLocal(filePath));
+        recordHistory(repo.id, [unlockEvent(filePath, lock, 'self')]);
       });
   };
 
   useEffect(() => {
-    const runningRef = { current: false }; // or useRef(false)
+    // One banner per failed file, capped so a large batch doesn't bury the screen
+    const reportBatchErrors = (errors = []) => {
+      errors.slice(0, MAX_BATCH_ERRORS).forEach(e => dispatch(addError(e)));
+      if (errors.length > MAX_BATCH_ERRORS) {
+        dispatch(addError(props.t('{{count}} more files failed', { count: errors.length - MAX_BATCH_ERRORS })));
+      }
+    };
 
-    const onLockBatch = (e) => {
-      if (runningRef.current) return;
-      const filePaths = e.detail || [];
-      if (!filePaths.length) return;
-      runningRef.current = true;
+    // Resolves to { done, failed, skipped } counts for the summary of a batch sequence
+    const lockFiles = (filePaths, reviewed) =>
+      window.api.git.lockFiles(repo.path, filePaths, gitOptions(repo), reviewed)
+        .then(({ ok, errors, skipped }) => {
+          filePaths.forEach(fp => dispatch(clearSkippedFile(fp)));
+          if (skipped && skipped.length) {
+            dispatch(setSkippedFiles(skipped));
+          }
 
-      window.api.git.lockFiles(repo.path, filePaths)
-        .then(({ ok, errors }) => {
           const paths = Object.keys(ok || {});
           if (!paths.length) {
             // keep a consistent shape for the next .then
-            return { items: [], errors: errors || [] };
+            return { items: [], errors: errors || [], skipped: skipped || [] };
           }
           const lookups = paths.map(fp =>
             window.api.git.getLockByPath(repo.path, fp)
               .then(arr => ({ filePath: fp, lock: arr && arr[0] }))
               .catch(err => ({ filePath: fp, lock: null, error: err }))
           );
-          return Promise.all(lookups).then(items => ({ items, errors }));
+          return Promise.all(lookups).then(items => ({ items, errors: errors || [], skipped: skipped || [] }));
         })
-        .then(({ items, errors }) => {
+        .then(({ items, errors, skipped }) => {
           items.forEach(({ filePath, lock }) => {
-            if (lock) dispatch(lockFileLocal({ filePath, lock }));
+            if (lock) dispatch(lockFileLocal({ filePath, lock: { ...lock, ownership: 'ours' } }));
           });
+          recordHistory(repo.id, items.filter(i => i.lock).map(({ filePath, lock }) => lockEvent(filePath, lock, 'self')));
 
-          if (errors && errors.length) {
-            const msg = errors.length === 1
-              ? `Lock failed for ${errors[0].path}: ${errors[0].message}`
-              : `Some locks failed:\n` +
-                errors.slice(0, 5).map(e => `• ${e.path}: ${e.message}`).join('\n');
-            dispatch(addError(msg));
-          }
+          reportBatchErrors(errors);
+          return { done: items.length, failed: errors.length, skipped: skipped.length };
         })
         .catch(err => {
-          dispatch(addError(err.message || String(err)));
+          dispatch(addError(err));
+          return { done: 0, failed: filePaths.length, skipped: 0 };
+        });
+
+    const unlockFiles = (filePaths, force, reviewed) =>
+      window.api.git.unlockFiles(repo.path, filePaths, force, gitOptions(repo), reviewed)
+        .then(({ ok, errors = [] }) => {
+          const unlocked = Object.keys(ok || {});
+          recordHistory(repo.id, unlocked.map(fp => unlockEvent(fp, get(filesRef.current.find(f => f.path === fp), 'lock'), 'self')));
+          unlocked.forEach(fp => dispatch(unlockFileLocal(fp)));
+
+          reportBatchErrors(errors);
+          return { done: unlocked.length, failed: errors.length, skipped: 0 };
         })
+        .catch(err => {
+          dispatch(addError(err));
+          return { done: 0, failed: filePaths.length, skipped: 0 };
+        });
+
+    const endBatch = (kind) => {
+      batchRunning.current = false;
+      document.dispatchEvent(new CustomEvent(`${kind}-batch-done`));
+    };
+
+    const lockBatch = (filePaths, reviewed) => {
+      lockFiles(filePaths, reviewed)
         .finally(() => {
           dispatch(clearSelectedFiles());
-          runningRef.current = false;
-          document.dispatchEvent(new CustomEvent('lock-batch-done'));
+          endBatch('lock');
         });
     };
 
-    const onUnlockBatch = (e) => {
-      if (runningRef.current) return;
-      const filePaths = e.detail || [];
-      if (!filePaths.length) return;
-      runningRef.current = true;
-
-      window.api.git.unlockFiles(repo.path, filePaths, false)
-        .then(({ ok, errors }) => {
-          Object.keys(ok || {}).forEach(fp => dispatch(unlockFileLocal(fp)));
-
-          if (errors && errors.length) {
-            const msg = errors.length === 1
-              ? `Unlock failed for ${errors[0].path}: ${errors[0].message}`
-              : `Some unlocks failed:\n` +
-                errors.slice(0, 5).map(e => `• ${e.path}: ${e.message}`).join('\n');
-            dispatch(addError(msg));
+    const unlockBatch = (filePaths, reviewed) => {
+      unlockFiles(filePaths, false, reviewed)
+        .finally(() => {
+          dispatch(clearSelectedFiles());
+          endBatch('unlock');
+        });
+    };
+
+    const planners = {
+      lock: window.api.git.planLockFiles,
+      unlock: window.api.git.planUnlockFiles,
+    };
+
+    // Show what the batch will do before anything is committed or pushed.
+    // run(paths, reviewed) gets the plan entries that were confirmed and carries out exactly those.
+    const review = (kind, filePaths, run, onCancel = () => endBatch(kind)) => {
+      const token = {};
+      reviewToken.current = token;
+      setPlan({ kind, loading: true, items: [], cancel: onCancel });
+      planners[kind](repo.path, filePaths, gitOptions(repo))
+        .then(items => {
+          if (reviewToken.current === token) {
+            setPlan({ kind, loading: false, items, run, cancel: onCancel });
           }
         })
         .catch(err => {
-          dispatch(addError(err.message || String(err)));
-        })
+          if (reviewToken.current !== token) return;
+          dispatch(addError(err));
+          setPlan(null);
+          onCancel();
+        });
+    };
+
+    const startBatch = (filePaths) => {
+      if (batchRunning.current || !filePaths.length) return false;
+      batchRunning.current = true;
+      return true;
+    };
+
+    const onLockBatch = (e) => startBatch(e.detail || []) && review('lock', e.detail, lockBatch);
+    const onUnlockBatch = (e) => startBatch(e.detail || []) && review('unlock', e.detail, unlockBatch);
+
+    // Other people's locks were confirmed in their own dialog and are forced right away;
+    // our own locks in the same selection still go through the review
+    const onForceUnlockBatch = (e) => {
+      const { mine = [], others = [] } = e.detail || {};
+      if (!startBatch(others)) return;
+      unlockFiles(others, true)
         .finally(() => {
-          dispatch(clearSelectedFiles());
-          runningRef.current = false;
-          document.dispatchEvent(new CustomEvent('unlock-batch-done'));
+          if (mine.length) {
+            review('unlock', mine, unlockBatch);
+          } else {
+            dispatch(clearSelectedFiles());
+            endBatch('unlock');
+          }
         });
     };
 
+    const reportSequence = (results) => {
+      const { t } = props;
+      const total = key => results.reduce((sum, result) => sum + result[key], 0);
+      const parts = results.map(({ kind, done }) => kind === 'lock'
+        ? t('locked {{count}} files', { count: done })
+        : t('unlocked {{count}} files', { count: done }));
+      if (total('skipped')) {
+        parts.push(t('skipped {{count}} files', { count: total('skipped') }));
+      }
+      if (total('failed')) {
+        parts.push(t('{{count}} files failed', { count: total('failed') }));
+      }
+      if (parts.length) {
+        dispatch(addNotice(parts.join(', '), total('failed') ? 'warning' : 'success'));
+      }
+    };
+
+    // A mixed selection runs as several batches in a row, [{ kind, paths }], each reviewed on its own.
+    // Cancelling a review stops the sequence; one summary covers every batch that ran.
+    const onBatchSequence = (e) => {
+      const steps = (e.detail || []).filter(step => step.paths.length);
+      if (!startBatch(steps)) return;
+      const results = [];
+      const finish = () => {
+        dispatch(clearSelectedFiles());
+        reportSequence(results);
+        endBatch('sequence');
+      };
+      const next = ([step, ...rest]) => {
+        if (!step) {
+          finish();
+          return;
+        }
+        const runStep = step.kind === 'lock' ? lockFiles : (paths, reviewed) => unlockFiles(paths, false, reviewed);
+        review(step.kind, step.paths, (paths, reviewed) => runStep(paths, reviewed).then(result => {
+          results.push({ kind: step.kind, ...result });
+          next(rest);
+        }), finish);
+      };
+      next(steps);
+    };
+
+    // Locks asked for in advance (watched files) skip the review
+    const onLockNow = (e) => {
+      const filePaths = e.detail || [];
+      if (batchRunning.current) {
+        dispatch(addError(props.t('Could not lock {{paths}} automatically while another batch is running', { paths: filePaths.join(', ') })));
+        return;
+      }
+      batchRunning.current = true;
+      lockBatch(filePaths);
+    };
+
     document.addEventListener('lock-batch', onLockBatch);
     document.addEventListener('unlock-batch', onUnlockBatch);
+    document.addEventListener('lock-batch-now', onLockNow);
+    document.addEventListener('force-unlock-batch', onForceUnlockBatch);
+    document.addEventListener('batch-sequence', onBatchSequence);
     return () => {
       document.removeEventListener('lock-batch', onLockBatch);
       document.removeEventListener('unlock-batch', onUnlockBatch);
+      document.removeEventListener('lock-batch-now', onLockNow);
+      document.removeEventListener('force-unlock-batch', onForceUnlockBatch);
+      document.removeEventListener('batch-sequence', onBatchSequence);
     };
-  }, [repo.path, dispatch]);
+  }, [repo, dispatch]);
+
+  const retryAfter = (prepare) => (filePaths) => {
+    prepare(repo.path, filePaths)
+      .then(() => {
+        filePaths.forEach(filePath => dispatch(clearSkippedFile(filePath)));
+        document.dispatchEvent(new CustomEvent('lock-batch', { detail: filePaths }));
+      })
+      .catch(err => dispatch(addError(err)));
+  };
+  const stashAndRetry = retryAfter(window.api.git.stashFiles);
+  const discardAndRetry = retryAfter(window.api.git.discardFiles);
+  const onStashAndRetry = (filePath) => stashAndRetry([filePath]);
+  const onDiscardAndRetry = (filePath) => setDiscarding([filePath]);
+
+  // Write the whole lock inventory through the main process save dialog
+  const exportLocks = (format) => {
+    setIsExporting(true);
+    window.api.git.differsFromTip(repo.path, files.map(f => f.path), gitOptions(repo))
+      .catch(err => {
+        // still export, just without the assets tip column
+        console.error(err);
+        return {};
+      })
+      .then(differs => {
+        const rows = exportRows(files, differs);
+        window.api.ipc.send('export-locks', {
+          format,
+          content: format === 'csv' ? toCsv(rows) : toJson(rows),
+          defaultPath: `${repo.name}-locks-${moment().format('YYYY-MM-DD')}.${format}`,
+        });
+      });
+  };
+
+  const confirmPlan = (reviewed) => {
+    const { run } = plan;
+    reviewToken.current = null;
+    setPlan(null);
+    run(reviewed.map(i => i.path), reviewed);
+  };
+
+  const cancelPlan = () => {
+    const { cancel } = plan;
+    reviewToken.current = null;
+    setPlan(null);
+    cancel();
+  };
 
-  const applyHardFilter = files => {
-    if (hardFilter == 'locked') {
-      return lodashFilter(files, f => get(f, 'lock.locked_at') || get(f, 'item.lock.locked_at'));
-    } else if (hardFilter == 'unlocked') {
-      return lodashFilter(files, f => !get(f, 'lock.locked_at') && !get(f, 'item.lock.locked_at'));
+  // Click toggles a row, Shift-click adds every row between the last clicked one and this one
+  const onSelect = (path, e) => {
+    const from = shownPaths.current.indexOf(selectionAnchor);
+    const to = shownPaths.current.indexOf(path);
+    if (e.shiftKey && from !== -1 && to !== -1) {
+      dispatch(selectFiles({
+        paths: shownPaths.current.slice(Math.min(from, to), Math.max(from, to) + 1),
+        anchor: path,
+      }));
+    } else {
+      dispatch(toggleSelectedFile(path));
     }
-    return files;
-  }
+  };
 
-  let renderedFiles;
-  if (filter) {
-    const filtered = searchLib.current.search(filter);
-    renderedFiles = applyHardFilter(filtered).map(file => (
-      <FileRow
-        key={file.item.path}
-        path={highlight(file, 'path')}
-        rawPath={file.item.path}
-        lockOwner={highlight(file, 'lock.owner.name')}
-        lockTime={get(file.item, 'lock.locked_at')}
-        isMissing={file.item.isMissing}
-        repo={repo}
-        onLock={onLock}
-        onUnlock={onUnlock}
-        lastUpdated={filesLastUpdated}
-      />
-    ));
-  } else {
-    let sortedFiles = sortBy(applyHardFilter(files), 'path');
-    if (sort == 'locked') {
-      sortedFiles = sortBy(sortedFiles, f => !get(f, 'lock.locked_at'));
+  // Whole folders go through the same reviewed batches as a selection
+  const lockFolder = paths => document.dispatchEvent(new CustomEvent('lock-batch', { detail: paths }));
+  const unlockFolder = paths => document.dispatchEvent(new CustomEvent('unlock-batch', { detail: paths }));
+
+  const renderRow = ({ index, key, style }) => {
+    const row = rows[index];
+    const isCursor = index === cursorIndex;
+    if (row.type === 'folder') {
+      return (
+        <RowFrame key={key} style={style}>
+          <FolderRow
+            node={row.node}
+            depth={row.depth}
+            isCursor={isCursor}
+            isExpanded={!!filter || expanded.includes(row.node.path)}
+            onToggle={() => {
+              setCursor(rowKey(row));
+              toggleFolder(row.node.path);
+            }}
+            onLock={lockFolder}
+            onUnlock={unlockFolder}
+          />
+        </RowFrame>
+      );
     }
 
-    renderedFiles = sortedFiles.map(file => (
-      <FileRow
-        key={file.path}
-        path={file.path}
-        rawPath={file.path}
-        lockOwner={get(file, 'lock.owner.name')}
-        lockTime={get(file, 'lock.locked_at')}
-        isMissing={file.isMissing}
-        repo={repo}
-        onLock={onLock}
-        onUnlock={onUnlock}
-        lastUpdated={filesLastUpdated}
-      />
-    ));
-  }
+    const { file, match } = row;
+    let path = file.path;
+    if (view == 'tree') {
+      path = file.path.split('/').pop();
+    } else if (match) {
+      path = highlight(match, 'path');
+    }
+    return (
+      <RowFrame key={key} style={style}>
+        <FileRow
+          path={path}
+          rawPath={file.path}
+          depth={row.depth}
+          isCursor={isCursor}
+          lockOwner={match ? highlight(match, 'lock.owner.name') : get(file, 'lock.owner.name')}
+          lockTime={get(file, 'lock.locked_at')}
+          lockOwnership={get(file, 'lock.ownership')}
+          isMissing={file.isMissing}
+          repo={repo}
+          onLock={onLock}
+          onUnlock={onUnlock}
+          onStashAndRetry={onStashAndRetry}
+          onDiscardAndRetry={onDiscardAndRetry}
+          onSelect={(path, e) => {
+            setCursor(path);
+            onSelect(path, e);
+          }}
+          lastUpdated={filesLastUpdated}
+        />
+      </RowFrame>
+    );
+  };
 
   const { t } = props;
 
@@ -471,11 +1269,27 @@ function Files(props) {
     hardFilterText = t("Locked Files");
   } else if (hardFilter == 'unlocked') {
     hardFilterText = t("Unlocked Files");
+  } else if (hardFilter == 'mine') {
+    hardFilterText = t("My Locks");
   }
 
   return (
     <>
       <Background bg="bg.primary">
+        {suggestedMode && !repo.lockMode && suggestedMode !== gitOptions(repo).mode ? (
+          <SuggestionBanner
+            variant="info"
+            title={suggestedMode === 'assets-tip'
+              ? t('The remote has an assets tip branch. The assets tip sync workflow is suggested.')
+              : t('The remote has no assets tip branch. The plain Git LFS workflow is suggested.')}
+            onDismiss={() => dispatch(saveRepoSettings(repo.id, { lockMode: gitOptions(repo).mode }))}
+            primaryAction={
+              <Banner.PrimaryAction onClick={() => dispatch(saveRepoSettings(repo.id, { lockMode: suggestedMode }))}>
+                {t('Use suggested')}
+              </Banner.PrimaryAction>
+            }
+          />
+        ) : null}
         <FilterBox>
           <StyledFilteredSearch>
             <ActionMenu>
@@ -500,6 +1314,12 @@ function Files(props) {
                   }}>
                     {t("Unlocked Files")} {hardFilter == 'unlocked' ? <CheckIcon /> : null}
                   </ActionList.Item>
+                  <ActionList.Item onClick={() => {
+                    setHardFilter('mine');
+                    window.api.store.send(writeConfigRequest, 'hardFilter', 'mine');
+                  }}>
+                    {t("My Locks")} {hardFilter == 'mine' ? <CheckIcon /> : null}
+                  </ActionList.Item>
                 </ActionList>
               </ActionMenu.Overlay>
             </ActionMenu>
@@ -509,9 +1329,45 @@ function Files(props) {
               name="filter"
               placeholder={t("Filter")}
               icon={FilterIcon}
-              onChange={({ target: { value } }) => setFilter(value)}
+              onChange={({ target: { value } }) => applyFilter(value)}
             />
           </StyledFilteredSearch>
+          <ActionMenu>
+            <ActionMenu.Button as="summary">{t("Select")}</ActionMenu.Button>
+            <ActionMenu.Overlay>
+              <ActionList>
+                <ActionList.Item onClick={() => dispatch(selectFiles({ paths: shownPaths.current }))}>
+                  {filter ? t("Select all matching the filter") : t("Select all shown files")}
+                  <ActionList.TrailingVisual>{navigator.platform.startsWith('Mac') ? '⌘A' : 'Ctrl+A'}</ActionList.TrailingVisual>
+                </ActionList.Item>
+                <ActionList.Item onClick={() => setIsPatternSelectOpen(true)}>
+                  {t("Select by pattern...")}
+                </ActionList.Item>
+                <ActionList.Item disabled={!selectedFiles.length} onClick={() => dispatch(clearSelectedFiles())}>
+                  {t("Clear selection")}
+                </ActionList.Item>
+              </ActionList>
+            </ActionMenu.Overlay>
+          </ActionMenu>
+          <ActionMenu>
+            <ActionMenu.Button as="summary">{view == 'tree' ? t("Tree") : t("List")}</ActionMenu.Button>
+            <ActionMenu.Overlay>
+              <ActionList>
+                <ActionList.Item onClick={() => {
+                  setView('list');
+                  window.api.store.send(writeConfigRequest, 'fileView', 'list');
+                }}>
+                  {t("List")} {view == 'list' ? <CheckIcon /> : null}
+                </ActionList.Item>
+                <ActionList.Item onClick={() => {
+                  setView('tree');
+                  window.api.store.send(writeConfigRequest, 'fileView', 'tree');
+                }}>
+                  {t("Tree")} {view == 'tree' ? <CheckIcon /> : null}
+                </ActionList.Item>
+              </ActionList>
+            </ActionMenu.Overlay>
+          </ActionMenu>
           <ActionMenu>
             <ActionMenu.Button as="summary">{t("Sorting")}</ActionMenu.Button>
             <ActionMenu.Overlay>
@@ -531,22 +1387,77 @@ function Files(props) {
               </ActionList>
             </ActionMenu.Overlay>
           </ActionMenu>
+          <ActionMenu>
+            <ActionMenu.Button as="summary" disabled={isExporting}>{t("Export")}</ActionMenu.Button>
+            <ActionMenu.Overlay>
+              <ActionList>
+                <ActionList.Item onClick={() => exportLocks('csv')}>{t("Export as CSV")}</ActionList.Item>
+                <ActionList.Item onClick={() => exportLocks('json')}>{t("Export as JSON")}</ActionList.Item>
+              </ActionList>
+            </ActionMenu.Overlay>
+          </ActionMenu>
+          <ActionMenu>
+            <ActionMenu.Button as="summary">{pollIntervalText(t, pollInterval)}</ActionMenu.Button>
+            <ActionMenu.Overlay>
+              <ActionList>
+                {POLL_INTERVALS.map(seconds => (
+                  <ActionList.Item key={seconds} onClick={() => {
+                    setPollInterval(seconds);
+                    window.api.store.send(writeConfigRequest, 'pollInterval', seconds);
+                  }}>
+                    {pollIntervalText(t, seconds)} {pollInterval == seconds ? <CheckIcon /> : null}
+                  </ActionList.Item>
+                ))}
+              </ActionList>
+            </ActionMenu.Overlay>
+          </ActionMenu>
         </FilterBox>
         <Flex>
-          {isEmpty(renderedFiles) ? null : (
+          {isEmpty(rows) ? null : (
             <AutoSizer>
               {({ width, height }) => (
-                <Scrollbars style={{ width, height }}>
-                  <FilesBox>
-                    {renderedFiles}
-                  </FilesBox>
-                </Scrollbars>
+                <FileList
+                  width={width}
+                  height={height}
+                  rowCount={rows.length}
+                  rowHeight={ROW_HEIGHT}
+                  rowRenderer={renderRow}
+                  scrollToIndex={cursorIndex}
+                  onRowsRendered={({ startIndex, stopIndex }) => {
+                    visiblePaths.current = rows.slice(startIndex, stopIndex + 1)
+                      .filter(row => row.type === 'file')
+                      .map(row => row.file.path);
+                    onRowsShown();
+                  }}
+                  // Not used by the list, they make it render again when rows or their state change
+                  rows={rows}
+                  selectedFiles={selectedFiles}
+                  filesLastUpdated={filesLastUpdated}
+                />
               )}
             </AutoSizer>
           )}
         </Flex>
       </Background>
       {selectedFiles.length > 0 ? <MultiFileAction /> : null}
+      <BatchPlan plan={plan} onConfirm={confirmPlan} onCancel={cancelPlan} />
+      <DiscardChanges
+        paths={discarding}
+        onConfirm={paths => {
+          setDiscarding(null);
+          discardAndRetry(paths);
+        }}
+        onCancel={() => setDiscarding(null)}
+      />
+      <PatternSelect
+        isOpen={isPatternSelectOpen}
+        paths={allPaths}
+        onSelect={paths => {
+          setIsPatternSelectOpen(false);
+          dispatch(selectFiles({ paths }));
+        }}
+        onCancel={() => setIsPatternSelectOpen(false)}
+      />
     </>
   );
 }
@@ -0,0 +1,196 @@
+import React, { useEffect, useState } from "react";
+import { Box, TextInput, Button, ActionList, ActionMenu, Spinner, Text, Link, themeGet } from "@primer/react";
+import styled from 'styled-components';
+import { LockIcon, UnlockIcon, FilterIcon, CheckIcon } from '@primer/octicons-react';
+import { withTranslation } from "react-i18next";
+import { useParams, useNavigate } from "react-router-dom";
+import { useSelector, useDispatch } from 'react-redux';
+import { addError } from 'Redux/components/errors/errorsSlice';
+import { NavLink } from "react-router-dom";
+import ROUTES from "Constants/routes";
+import moment from 'moment';
+import sortBy from 'lodash/sortBy';
+import { AutoSizer, List } from "react-virtualized";
+
+const Background = styled(Box)`
+  display: flex;
+  flex: 1;
+  flex-direction: column;
+  background-color: ${themeGet('colors.canvas.subtle')};
+`;
+
+const FilterBox = styled(Box)`
+  padding: ${themeGet('space.2')};
+  display: flex;
+
+  & > *:not(:last-child) {
+    margin-right: ${themeGet('space.2')};
+  }
+
+  & > *:first-child {
+    flex: 1;
+  }
+`;
+
+const Flex = styled(Box)`
+  display: flex;
+  flex: 1;
+`;
+
+// Rows are one line high so only the visible ones need to be rendered
+const ROW_HEIGHT = 41;
+
+const EventList = styled(List)`
+  outline: none;
+`;
+
+const EventRow = styled(Box)`
+  display: flex;
+  align-items: center;
+  padding: 0 ${themeGet('space.2')};
+  border-bottom: 1px solid ${themeGet('colors.border.default')};
+  white-space: nowrap;
+
+  & > *:not(:last-child) {
+    margin-right: ${themeGet('space.2')};
+  }
+`;
+
+const EventPath = styled(Link)`
+  flex: 1;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  cursor: pointer;
+`;
+
+const EventNote = styled(Text)`
+  max-width: 30%;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  font-style: italic;
+`;
+
+const EventTime = styled(Text)`
+  min-width: 150px;
+  color: ${themeGet('colors.fg.muted')};
+`;
+
+const typeFilters = {
+  all: 'All Events',
+  lock: 'Locks',
+  unlock: 'Unlocks',
+};
+
+const heldFor = (t, event) => {
+  if (event.type !== 'unlock' || !event.lockedAt) {
+    return null;
+  }
+  const duration = moment.duration(moment(event.at).diff(moment(event.lockedAt)));
+  return t('held for {{duration}}', { duration: duration.humanize() });
+};
+
+// Timeline of the lock and unlock events recorded for a repository
+function History(props) {
+  const { repoid } = useParams();
+  const repos = useSelector((state) => state.repos.list);
+  const reposLoaded = useSelector((state) => state.repos.initialLoad);
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const [events, setEvents] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [filter, setFilter] = useState('');
+  const [typeFilter, setTypeFilter] = useState('all');
+
+  const repo = repos.find(r => r.id === repoid);
+
+  useEffect(() => {
+    if (!repo) {
+      return;
+    }
+
+    setIsLoading(true);
+    window.api.history.read(repo.id)
+      .then(list => setEvents(sortBy(list, e => -moment(e.at).valueOf())))
+      .catch(err => dispatch(addError(err)))
+      .finally(() => setIsLoading(false));
+  }, [repoid, !!repo]);
+
+  if (!repo) {
+    if (reposLoaded) {
+      navigate('/');
+    }
+    return null;
+  }
+
+  const { t } = props;
+
+  const needle = filter.trim().toLowerCase();
+  const shown = events.filter(e =>
+    (typeFilter === 'all' || e.type === typeFilter) &&
+    (!needle || e.path.toLowerCase().includes(needle) || (e.owner || '').toLowerCase().includes(needle)));
+
+  const renderRow = ({ index, key, style }) => {
+    const event = shown[index];
+    return (
+      <EventRow key={key} style={style}>
+        {event.type === 'lock' ? <LockIcon size={16} /> : <UnlockIcon size={16} />}
+        <EventTime>{moment(event.at).format('lll')}</EventTime>
+        <Text fontWeight="bold">{event.owner || t('Unknown')}</Text>
+        <Text>{event.type === 'lock' ? t('locked') : t('unlocked')}</Text>
+        <EventPath title={`${event.path}\n${t('Show this file only')}`} onClick={() => setFilter(event.path)}>{event.path}</EventPath>
+        {heldFor(t, event) ? <Text>{heldFor(t, event)}</Text> : null}
+        {event.note ? <EventNote title={event.note}>{event.note}</EventNote> : null}
+      </EventRow>
+    );
+  };
+
+  return (
+    <Background bg="bg.primary">
+      <FilterBox>
+        <TextInput
+          aria-label={t("Filter by file or owner")}
+          placeholder={t("Filter by file or owner")}
+          icon={FilterIcon}
+          value={filter}
+          onChange={({ target: { value } }) => setFilter(value)}
+        />
+        <ActionMenu>
+          <ActionMenu.Button as="summary">{t(typeFilters[typeFilter])}</ActionMenu.Button>
+          <ActionMenu.Overlay>
+            <ActionList>
+              {Object.entries(typeFilters).map(([type, label]) => (
+                <ActionList.Item key={type} onClick={() => setTypeFilter(type)}>
+                  {t(label)} {typeFilter == type ? <CheckIcon /> : null}
+                </ActionList.Item>
+              ))}
+            </ActionList>
+          </ActionMenu.Overlay>
+        </ActionMenu>
+        <Button variant="outline" as={NavLink} to={ROUTES.REPO.replace(':repoid', repoid)}>{t('Back')}</Button>
+      </FilterBox>
+      <Flex>
+        {isLoading ? (
+          <Box m="auto"><Spinner size="medium" /></Box>
+        ) : shown.length ? (
+          <AutoSizer>
+            {({ width, height }) => (
+              <EventList
+                width={width}
+                height={height}
+                rowCount={shown.length}
+                rowHeight={ROW_HEIGHT}
+                rowRenderer={renderRow}
+                // Not used by the list, they make it render again when the events shown change
+                events={shown}
+              />
+            )}
+          </AutoSizer>
+        ) : (
+          <Box p={3}>{t('No lock events recorded yet')}</Box>
+        )}
+      </Flex>
+    </Background>
+  );
+}
+
+export default withTranslation()(History);
@@ -122,7 +122,7 @@ function LFSConfig(props) {
         }),
       window.api.git.remotes(repo.path)
         .then(setRemotes)
-        .catch(() => dispatch(addError(err.message || err))),
+        .catch(err => dispatch(addError(err))),
     ])
       .finally(() => setIsLoading(false));
   }, [repoid]);
@@ -152,7 +152,7 @@ function LFSConfig(props) {
     setIsLoading(true);
     window.api.git.createLfsconfig(repo.path, data)
       .then(() => setNeedsSaving(false))
-      .catch(err => dispatch(addError(err.message || err)))
+      .catch(err => dispatch(addError(err)))
       .finally(() => setIsLoading(false))
   }
 
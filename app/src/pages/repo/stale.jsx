@@ -0,0 +1,256 @@
+import React, { useEffect, useState } from "react";
+import { Box, TextInput, Button, Checkbox, Dialog, Label, Spinner, Text, FormControl, themeGet } from "@primer/react";
+import styled from 'styled-components';
+import { HourglassIcon, AlertIcon } from '@primer/octicons-react';
+import { withTranslation } from "react-i18next";
+import { useParams, useNavigate } from "react-router-dom";
+import { useSelector, useDispatch } from 'react-redux';
+import { writeConfigRequest } from "secure-electron-store";
+import { addError } from 'Redux/components/errors/errorsSlice';
+import { unlockFileLocal } from 'Redux/components/files/filesSlice';
+import { NavLink } from "react-router-dom";
+import ROUTES from "Constants/routes";
+import { gitOptions, findAuthor } from 'Core/utils';
+import { unlockEvent, recordHistory } from 'Core/lockHistory';
+import moment from 'moment';
+import get from 'lodash/get';
+import sortBy from 'lodash/sortBy';
+import countBy from 'lodash/countBy';
+import { Scrollbars } from "react-custom-scrollbars-2";
+import { AutoSizer } from "react-virtualized";
+
+const DEFAULT_STALE_LOCK_DAYS = 14;
+const DEFAULT_INACTIVE_OWNER_DAYS = 30;
+
+const Background = styled(Box)`
+  display: flex;
+  flex: 1;
+  flex-direction: column;
+  background-color: ${themeGet('colors.canvas.subtle')};
+`;
+
+const Toolbar = styled(Box)`
+  padding: ${themeGet('space.2')};
+  display: flex;
+  align-items: flex-end;
+
+  & > *:not(:last-child) {
+    margin-right: ${themeGet('space.2')};
+  }
+
+  & > *:first-child {
+    flex: 1;
+  }
+`;
+
+const Flex = styled(Box)`
+  display: flex;
+  flex: 1;
+`;
+
+const LockRow = styled.label`
+  display: flex;
+  align-items: center;
+  padding: ${themeGet('space.2')};
+  border-bottom: 1px solid ${themeGet('colors.border.default')};
+
+  & > *:not(:last-child) {
+    margin-right: ${themeGet('space.2')};
+  }
+
+  & > span:first-of-type {
+    flex: 1;
+    word-break: break-all;
+  }
+`;
+
+const StyledHourglassIcon = styled(HourglassIcon)`
+  align-self: center;
+  margin-right: ${themeGet('space.2')};
+`;
+
+const DaysInput = styled(TextInput)`
+  width: 80px;
+`;
+
+// Locks older than the configured age, or held by someone without recent commits,
+// with a bulk force unlock for admins. Owners that can't be matched to a commit author
+// are shown as unknown rather than inactive and are never selected in bulk.
+function StaleLocks(props) {
+  const { repoid } = useParams();
+  const repos = useSelector((state) => state.repos.list);
+  const reposLoaded = useSelector((state) => state.repos.initialLoad);
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const [days, setDays] = useState(window.api.store.initial()['staleLockDays'] || DEFAULT_STALE_LOCK_DAYS);
+  const [inactiveDays, setInactiveDays] = useState(window.api.store.initial()['inactiveOwnerDays'] || DEFAULT_INACTIVE_OWNER_DAYS);
+  const [locks, setLocks] = useState([]);
+  const [authors, setAuthors] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [selected, setSelected] = useState([]);
+  const [confirming, setConfirming] = useState(false);
+  const [note, setNote] = useState('');
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  const returnFocusRef = React.useRef(null);
+
+  const repo = repos.find(r => r.id === repoid);
+
+  const load = () => {
+    setIsLoading(true);
+    setSelected([]);
+    return Promise.all([
+      window.api.git.listLocks(repo.path),
+      window.api.git.commitAuthors(repo.path),
+    ])
+      .then(([locks, authors]) => {
+        setLocks(locks);
+        setAuthors(authors);
+      })
+      .catch(err => dispatch(addError(err)))
+      .finally(() => setIsLoading(false));
+  };
+
+  useEffect(() => {
+    if (!repo) {
+      return;
+    }
+    load();
+  }, [repoid, !!repo]);
+
+  if (!repo) {
+    if (reposLoaded) {
+      navigate('/');
+    }
+    return null;
+  }
+
+  const { t } = props;
+
+  const now = moment();
+  const activity = (author) => {
+    if (!author) {
+      return 'unknown';
+    }
+    return now.diff(moment(author.at), 'days', true) > inactiveDays ? 'inactive' : 'active';
+  };
+  const stale = sortBy(locks
+    .map(lock => ({
+      lock,
+      isOld: now.diff(moment(lock.locked_at), 'days', true) > days,
+      ownerActivity: activity(findAuthor(get(lock, 'owner.name'), authors)),
+    }))
+    .filter(({ isOld, ownerActivity }) => isOld || ownerActivity === 'inactive'), ({ lock }) => lock.locked_at);
+  const selectable = stale.filter(({ ownerActivity }) => ownerActivity !== 'unknown').map(({ lock }) => lock.path);
+  const allSelected = selected.length > 0 && selectable.every(path => selected.includes(path));
+
+  const toggle = (path) => {
+    setSelected(selected.includes(path)
+      ? selected.filter(p => p !== path)
+      : [...selected, path]);
+  };
+
+  const selectedLocks = stale.filter(({ lock }) => selected.includes(lock.path)).map(({ lock }) => lock);
+  const owners = countBy(selectedLocks, lock => get(lock, 'owner.name', t('Unknown')));
+
+  const saveDays = (key, setValue) => (value) => {
+    const parsed = parseInt(value, 10);
+    if (!(parsed > 0)) {
+      return;
+    }
+    setValue(parsed);
+    window.api.store.send(writeConfigRequest, key, parsed);
+  };
+
+  const forceUnlock = () => {
+    setIsUnlocking(true);
+    window.api.git.unlockFiles(repo.path, selectedLocks.map(lock => lock.path), true, gitOptions(repo))
+      .then(({ ok, errors }) => {
+        const unlocked = selectedLocks.filter(lock => lock.path in (ok || {}));
+        recordHistory(repo.id, unlocked.map(lock => unlockEvent(lock.path, lock, 'self', note.trim() || undefined)));
+        unlocked.forEach(lock => dispatch(unlockFileLocal(lock.path)));
+        (errors || []).forEach(e => dispatch(addError(e)));
+      })
+      .catch(err => dispatch(addError(err)))
+      .finally(() => {
+        setIsUnlocking(false);
+        setConfirming(false);
+        setNote('');
+        load();
+      });
+  };
+
+  return (
+    <Background bg="bg.primary">
+      <Toolbar>
+        <FormControl>
+          <FormControl.Label htmlFor="stale-days">{t('Locks older than this many days')}</FormControl.Label>
+          <DaysInput id="stale-days" type="number" min={1} defaultValue={days} onBlur={({ target: { value } }) => saveDays('staleLockDays', setDays)(value)} />
+        </FormControl>
+        <FormControl>
+          <FormControl.Label htmlFor="inactive-days">{t('Owners without commits for this many days')}</FormControl.Label>
+          <DaysInput id="inactive-days" type="number" min={1} defaultValue={inactiveDays} onBlur={({ target: { value } }) => saveDays('inactiveOwnerDays', setInactiveDays)(value)} />
+        </FormControl>
+        <Button disabled={isLoading || !selectable.length} onClick={() => setSelected(allSelected ? [] : selectable)}>
+          {allSelected ? t('Select None') : t('Select All')}
+        </Button>
+        <Button variant="danger" ref={returnFocusRef} disabled={isLoading || !selected.length} onClick={() => setConfirming(true)}>
+          {t('Force Unlock')} ({selected.length})
+        </Button>
+        <Button variant="outline" as={NavLink} to={ROUTES.REPO.replace(':repoid', repoid)}>{t('Back')}</Button>
+      </Toolbar>
+      <Flex>
+        {isLoading ? (
+          <Box m="auto"><Spinner size="medium" /></Box>
+        ) : (
+          <AutoSizer>
+            {({ width, height }) => (
+              <Scrollbars style={{ width, height }}>
+                {stale.length ? stale.map(({ lock, isOld, ownerActivity }) => (
+                  <LockRow key={lock.path}>
+                    <Checkbox checked={selected.includes(lock.path)} onChange={() => toggle(lock.path)} />
+                    <span>{lock.path}</span>
+                    <Text fontWeight="bold">{get(lock, 'owner.name', t('Unknown'))}</Text>
+                    <Text>{moment(lock.locked_at).fromNow()}</Text>
+                    {isOld ? <Label variant="attention">{t('Old')}</Label> : null}
+                    {ownerActivity === 'inactive' ? <Label variant="secondary">{t('Owner inactive')}</Label> : null}
+                    {ownerActivity === 'unknown' ? <Label variant="secondary">{t('Owner activity unknown')}</Label> : null}
+                  </LockRow>
+                )) : (
+                  <Box p={3}>{t('No stale locks')}</Box>
+                )}
+              </Scrollbars>
+            )}
+          </AutoSizer>
+        )}
+      </Flex>
+      <Dialog isOpen={confirming} returnFocusRef={returnFocusRef} onDismiss={() => setConfirming(false)} aria-labelledby="force-unlock-label">
+        <Dialog.Header>
+          <StyledHourglassIcon />
+          {t('Force unlock stale locks')}
+        </Dialog.Header>
+        <Box p={3}>
+          <Text id="force-unlock-label" as="p">
+            <AlertIcon /> {t('These people will lose their locks. Any work they have not pushed may conflict with the next lock holder.')}
+          </Text>
+          <Box as="ul" my={2}>
+            {Object.entries(owners).map(([owner, count]) => (
+              <li key={owner}>{t('{{owner}}: {{count}} files', { owner, count })}</li>
+            ))}
+          </Box>
+          <FormControl>
+            <FormControl.Label htmlFor="force-unlock-note">{t('Note for the lock history (optional)')}</FormControl.Label>
+            <TextInput id="force-unlock-note" block value={note} onChange={({ target: { value } }) => setNote(value)} />
+          </FormControl>
+          <Box display="flex" mt={3} justifyContent="flex-end">
+            <Button sx={{ marginRight: 1 }} onClick={() => setConfirming(false)}>{t('Cancel')}</Button>
+            <Button variant="danger" disabled={isUnlocking} onClick={forceUnlock}>
+              {isUnlocking ? <Spinner size="small" /> : `${t('Force Unlock')} (${selectedLocks.length})`}
+            </Button>
+          </Box>
+        </Box>
+      </Dialog>
+    </Background>
+  );
+}
+
+export default withTranslation()(StaleLocks);
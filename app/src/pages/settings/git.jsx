@@ -0,0 +1,182 @@
+import React, { useEffect, useState } from "react";
+import { Box, TextInput, Button, Spinner, FormControl, themeGet } from "@primer/react";
+import styled from 'styled-components';
+import { withTranslation } from "react-i18next";
+import { useDispatch } from 'react-redux';
+import { addError } from 'Redux/components/errors/errorsSlice';
+import { NavLink } from "react-router-dom";
+import ROUTES from "Constants/routes";
+import GitEnvironment from 'Core/gitEnvironment';
+import { Scrollbars } from "react-custom-scrollbars-2";
+import { AutoSizer } from "react-virtualized";
+
+const Background = styled(Box)`
+  display: flex;
+  flex: 1;
+  background-color: ${themeGet('colors.canvas.subtle')};
+
+  & label {
+    margin-top: ${themeGet('space.3')};
+  }
+`;
+
+const Content = styled(Box)`
+  display: flex;
+  flex: 1;
+  padding: ${themeGet('space.2')};
+  flex-direction: column;
+`;
+
+const PathRow = styled(Box)`
+  display: flex;
+  width: 100%;
+
+  & > *:first-child {
+    flex: 1;
+  }
+
+  & > *:not(:last-child) {
+    margin-right: ${themeGet('space.2')};
+  }
+`;
+
+const CheckBox = styled(Box)`
+  margin-top: ${themeGet('space.3')};
+
+  & > *:not(:last-child) {
+    margin-bottom: ${themeGet('space.2')};
+  }
+`;
+
+const ButtonRow = styled(Box)`
+  display: flex;
+  flex-direction: row;
+  margin-top: ${themeGet('space.4')};
+  margin-bottom: ${themeGet('space.2')};
+
+  & > *:not(:last-child) {
+    margin-right: ${themeGet('space.2')};
+  }
+`;
+
+const ButtonPrimary = styled(Button)`
+  &:hover {
+    color: ${themeGet('colors.btn.primary.text')};
+  }
+`;
+
+function GitSettings(props) {
+  const dispatch = useDispatch();
+  const [gitPath, setGitPath] = useState('');
+  const [gitLfsPath, setGitLfsPath] = useState('');
+  const [check, setCheck] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+  const [needsSaving, setNeedsSaving] = useState(false);
+
+  const { t } = props;
+
+  const runCheck = () => {
+    setIsChecking(true);
+    return window.api.git.checkExecutables()
+      .then(result => {
+        setCheck(result);
+        return result;
+      })
+      .finally(() => setIsChecking(false));
+  };
+
+  // The main process picks, verifies and saves the executables; this page only shows them
+  useEffect(() => {
+    window.api.git.getExecutables()
+      .then(saved => {
+        setGitPath(saved.gitPath || '');
+        setGitLfsPath(saved.gitLfsPath || '');
+        return runCheck();
+      })
+      .catch(err => dispatch(addError(err)));
+
+    window.api.ipc.on('executable-selected', (e, { key, path, check, error }) => {
+      setIsChecking(false);
+      if (error) {
+        dispatch(addError(t('{{path}} is not a usable executable: {{error}}', { path, error })));
+        return;
+      }
+      if (key === 'gitPath') {
+        setGitPath(path);
+      } else {
+        setGitLfsPath(path);
+      }
+      setCheck(check);
+      setNeedsSaving(true);
+    });
+    window.api.ipc.on('executables-saved', (e, { check, error }) => {
+      setIsChecking(false);
+      if (check) {
+        setCheck(check);
+      }
+      if (error) {
+        dispatch(addError(error === 'git-not-found' ? t('The Git executable could not be run') : error));
+        return;
+      }
+      setNeedsSaving(false);
+    });
+    return () => {
+      window.api.ipc.removeAllListeners('executable-selected');
+      window.api.ipc.removeAllListeners('executables-saved');
+    };
+  }, []);
+
+  const browse = (key) => {
+    window.api.ipc.send('select-executable', { key });
+  };
+
+  const reset = (key) => {
+    setIsChecking(true);
+    window.api.ipc.send('reset-executable', { key });
+  };
+
+  const save = () => {
+    setIsChecking(true);
+    window.api.ipc.send('save-executables');
+  };
+
+  const pathInput = (id, label, value) => (
+    <FormControl>
+      <FormControl.Label htmlFor={id}>{label}</FormControl.Label>
+      <PathRow>
+        <TextInput id={id} readOnly placeholder={t('Use the one found on the PATH')} value={value} />
+        <Button onClick={() => browse(id)}>{t('Browse')}</Button>
+        <Button disabled={!value} onClick={() => reset(id)}>{t('Use PATH')}</Button>
+      </PathRow>
+    </FormControl>
+  );
+
+  return (
+    <Background bg="bg.primary">
+      <AutoSizer>
+        {({ width, height }) => (
+          <Scrollbars style={{ width, height }}>
+            <Content>
+              <span>{t("Choose the Git installation used for all repositories. Without one, the one found on the PATH is used.")}</span>
+              {pathInput('gitPath', t('Git executable'), gitPath)}
+              {pathInput('gitLfsPath', t('Git LFS executable'), gitLfsPath)}
+              <CheckBox>
+                {isChecking ? <Spinner size="small" /> : null}
+                {!isChecking && check ? <GitEnvironment env={check} /> : null}
+              </CheckBox>
+              <ButtonRow>
+                {needsSaving ? (
+                  <ButtonPrimary variant="primary" disabled={isChecking} onClick={save}>{t('Save')}</ButtonPrimary>
+                ) : null}
+                <Button disabled={isChecking} onClick={() => runCheck().catch(err => dispatch(addError(err)))}>{t('Check')}</Button>
+                <Button variant="outline" as={NavLink} to={ROUTES.WELCOME}>{t('Back')}</Button>
+              </ButtonRow>
+            </Content>
+          </Scrollbars>
+        )}
+      </AutoSizer>
+    </Background>
+  );
+}
+
+export default withTranslation()(GitSettings);
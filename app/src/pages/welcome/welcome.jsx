@@ -1,8 +1,11 @@
-import React from "react";
-import { Box, themeGet } from "@primer/react";
+import React, { useEffect, useState } from "react";
+import { Box, Button, Text, themeGet } from "@primer/react";
 import styled from 'styled-components';
-import { ArrowUpIcon } from '@primer/octicons-react';
+import { ArrowUpIcon, AlertIcon } from '@primer/octicons-react';
 import { withTranslation } from "react-i18next";
+import { NavLink } from "react-router-dom";
+import ROUTES from "Constants/routes";
+import GitEnvironment from 'Core/gitEnvironment';
 
 const Background = styled(Box)`
   flex: 1;
@@ -25,8 +28,59 @@ const TextBox = styled(Box)`
   font-size: ${themeGet('fontSizes.3')};
 `;
 
+const DiagnosticBox = styled(Box)`
+  padding: ${themeGet('space.3')};
+  max-width: 600px;
+
+  & > *:not(:last-child) {
+    margin-bottom: ${themeGet('space.2')};
+  }
+`;
+
+// Shown instead of the welcome message when git or git-lfs is missing or too old
+function Diagnostic(props) {
+  const { t, env } = props;
+  return (
+    <DiagnosticBox>
+      <TextBox>
+        <AlertIcon size={24} />&nbsp;{t('Git Locks Manager needs Git and Git LFS')}
+      </TextBox>
+      <GitEnvironment env={env} />
+      {!env.git.found ? (
+        <Text as="p">{t('Install Git from https://git-scm.com and restart the application.')}</Text>
+      ) : null}
+      {env.git.found && !env.lfs.found ? (
+        <Text as="p">{t('Install Git LFS from https://git-lfs.com, run "git lfs install" and restart the application.')}</Text>
+      ) : null}
+      {env.git.found && env.lfs.found ? (
+        <Text as="p">{t('Update the outdated tools and restart the application.')}</Text>
+      ) : null}
+      <Button as={NavLink} to={ROUTES.SETTINGS_GIT}>{t('Use another Git installation')}</Button>
+    </DiagnosticBox>
+  );
+}
+
 function Welcome(props) {
   const { t } = props;
+  // Checked at startup; a Git installation picked in the settings since then is checked again
+  const [env, setEnv] = useState(window.api.env.git);
+
+  useEffect(() => {
+    if (env && !env.ok) {
+      window.api.git.checkExecutables()
+        .then(setEnv)
+        .catch(err => console.error(err));
+    }
+  }, []);
+
+  if (env && !env.ok) {
+    return (
+      <Background>
+        <Diagnostic t={t} env={env} />
+      </Background>
+    );
+  }
+
   return (
     <Background>
       <ArrowBox>
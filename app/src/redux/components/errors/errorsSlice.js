@@ -1,4 +1,4 @@
-import { createSlice } from "@reduxjs/toolkit";
+import { createSlice, nanoid } from "@reduxjs/toolkit";
 
 const errorsSlice = createSlice({
   name: "errors",
@@ -6,17 +6,45 @@ const errorsSlice = createSlice({
     list: [],
   },
   reducers: {
-    addError(state, action) {
-      state.list.push(action.payload);
+    // Accepts a message or an error object from the git layer
+    // ({ code, message, path, command, exitCode, stderr, hint }).
+    addError: {
+      reducer(state, action) {
+        state.list.push(action.payload);
+      },
+      prepare(err) {
+        const fields = typeof err === 'string' || !err
+          ? { message: String(err) }
+          : {
+            code: err.code,
+            message: err.message || String(err),
+            path: err.path,
+            command: err.command,
+            exitCode: err.exitCode,
+            stderr: err.stderr,
+            hint: err.hint,
+          };
+        return { payload: { id: nanoid(), ...fields } };
+      },
+    },
+    // Shown in the same place as errors but not one of them, e.g. the summary of a batch;
+    // variant is the banner variant such as 'success'
+    addNotice: {
+      reducer(state, action) {
+        state.list.push(action.payload);
+      },
+      prepare(message, variant = 'info') {
+        return { payload: { id: nanoid(), message, variant } };
+      },
     },
     removeError(state, action) {
-      state.list = state.list.filter(err => err !== action.payload)
+      state.list = state.list.filter(err => err.id !== action.payload)
     }
   }
 });
 
 // Export actions
-export const { addError, removeError } = errorsSlice.actions;
+export const { addError, addNotice, removeError } = errorsSlice.actions;
 
 // Export reducer
 export default errorsSlice.reducer;
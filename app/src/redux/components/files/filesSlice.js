@@ -12,24 +12,60 @@ const filesSlice = createSlice({
     list: [],
     lastUpdated: undefined,
     fetching: false,
+    // Lockable files found so far by the listing that is running
+    progress: 0,
     selectedFiles: [],
+    // Where the last click-selection happened, the start of a shift-click range
+    selectionAnchor: undefined,
+    skipped: {},
+    highlighted: {},
+    // path → { code, owner, hint, message } of the last single-file lock or unlock that failed
+    rowErrors: {},
+    // path → { status, differsFromHead, differsFromTip } of the files changed in the working tree
+    localChanges: {},
   },
   reducers: {
     setFiles(state, action) {
-      state.list = (action.payload || []).map(f => ({
+      const list = (action.payload || []).map(f => ({
         ...f,
         path: normPath(f.path),
         rawPath: normPath(f.rawPath ?? f.path),
       }));
+      state.list = list;
       state.lastUpdated = Date.now();
       state.fetching = false;
-      state.selectedFiles = state.selectedFiles.filter(f => state.list.find(lf => lf.path === f));
+      state.progress = 0;
+      const listed = new Set(list.map(f => f.path));
+      state.selectedFiles = state.selectedFiles.filter(f => listed.has(f));
+      state.skipped = Object.fromEntries(Object.entries(state.skipped)
+        .filter(([f]) => listed.has(f)));
+      state.rowErrors = Object.fromEntries(Object.entries(state.rowErrors)
+        .filter(([f]) => listed.has(f)));
     },
-    startFetching(state) {
+    // With reset the list is emptied and filled again by the batches of the listing
+    startFetching(state, action) {
       state.fetching = true;
+      state.progress = 0;
+      if (action.payload && action.payload.reset) {
+        state.list = [];
+        state.selectedFiles = [];
+        state.selectionAnchor = undefined;
+        state.localChanges = {};
+        state.rowErrors = {};
+      }
     },
     stopFetching(state) {
       state.fetching = false;
+      state.progress = 0;
+    },
+    // A batch of lockable paths from a running listing: { paths, count }
+    receiveFileBatch(state, action) {
+      const { paths = [], count } = action.payload;
+      paths.forEach(path => {
+        const key = normPath(path);
+        state.list.push({ path: key, rawPath: key });
+      });
+      state.progress = count;
     },
     lockFileLocal(state, action) {
       const key = normPath(action.payload.filePath);
@@ -80,15 +116,70 @@ const filesSlice = createSlice({
           ...state.selectedFiles.slice(fileIndex + 1)
         ];
       }
+      state.selectionAnchor = action.payload;
+    },
+    // Adds the paths to the selection, keeping what was already selected
+    selectFiles(state, action) {
+      const { paths, anchor } = action.payload;
+      const selected = new Set(state.selectedFiles);
+      paths.forEach(path => {
+        if (!selected.has(path)) {
+          selected.add(path);
+          state.selectedFiles.push(path);
+        }
+      });
+      if (anchor !== undefined) {
+        state.selectionAnchor = anchor;
+      }
     },
     clearSelectedFiles(state) {
       state.selectedFiles = [];
+      state.selectionAnchor = undefined;
+    },
+    setSkippedFiles(state, action) {
+      (action.payload || []).forEach(({ path, reason }) => {
+        state.skipped[normPath(path)] = reason;
+      });
+    },
+    clearSkippedFile(state, action) {
+      delete state.skipped[normPath(action.payload)];
+    },
+    // { path, error }; without an error the row's last error is cleared
+    setRowError(state, action) {
+      const { path, error } = action.payload;
+      if (error) {
+        const { code, owner, hint, message } = error;
+        state.rowErrors[normPath(path)] = { code, owner, hint, message: message || String(error) };
+      } else {
+        delete state.rowErrors[normPath(path)];
+      }
+    },
+    // Rows whose lock changed behind our back: [{ path, change: 'locked' | 'released' | 'changed' }]
+    highlightFiles(state, action) {
+      (action.payload || []).forEach(({ path, change }) => {
+        state.highlighted[normPath(path)] = change;
+      });
+    },
+    clearHighlightedFiles(state, action) {
+      (action.payload || []).forEach(path => {
+        delete state.highlighted[normPath(path)];
+      });
+    },
+    setLocalChanges(state, action) {
+      state.localChanges = Object.fromEntries(Object.entries(action.payload || {})
+        .map(([path, change]) => [normPath(path), change]));
+    },
+    // Changes of some of the files, e.g. the rows that were scrolled into view
+    updateLocalChanges(state, action) {
+      Object.entries(action.payload || {}).forEach(([path, change]) => {
+        state.localChanges[normPath(path)] = change;
+      });
     }
   }
 });
 
 // Export actions
-export const { setFiles, startFetching, stopFetching, lockFileLocal, unlockFileLocal, toggleSelectedFile, clearSelectedFiles } = filesSlice.actions;
+export const { setFiles, startFetching, stopFetching, receiveFileBatch, lockFileLocal, unlockFileLocal, toggleSelectedFile, selectFiles, clearSelectedFiles, setSkippedFiles, clearSkippedFile, setRowError, highlightFiles, clearHighlightedFiles, setLocalChanges, updateLocalChanges } = filesSlice.actions;
 
 // Export reducer
 export default filesSlice.reducer;
@@ -1,4 +1,5 @@
 import { createSlice } from "@reduxjs/toolkit";
+import { writeConfigRequest } from "secure-electron-store";
 
 const reposSlice = createSlice({
   name: "repos",
@@ -14,6 +15,13 @@ const reposSlice = createSlice({
     addRepo(state, action) {
       state.list.push(action.payload);
     },
+    updateRepo(state, action) {
+      const { id, changes } = action.payload;
+      const repo = state.list.find(r => r.id === id);
+      if (repo) {
+        Object.assign(repo, changes);
+      }
+    },
     removeRepo(state, action) {
       state.list = state.list.filter(r => r.id !== action.payload);
     },
@@ -25,7 +33,13 @@ const reposSlice = createSlice({
 });
 
 // Export actions
-export const { toggle, addRepo, removeRepo, setRepos } = reposSlice.actions;
+export const { toggle, addRepo, updateRepo, removeRepo, setRepos } = reposSlice.actions;
+
+// Update a repository entry and persist the list under "repos"
+export const saveRepoSettings = (id, changes) => (dispatch, getState) => {
+  dispatch(updateRepo({ id, changes }));
+  window.api.store.send(writeConfigRequest, 'repos', getState().repos.list);
+};
 
 // Export reducer
 export default reposSlice.reducer;
@@ -0,0 +1,46 @@
+import { createSlice } from "@reduxjs/toolkit";
+import { writeConfigRequest } from "secure-electron-store";
+
+// Files waiting for someone else's lock to be released, per repository:
+// { [repoid]: { [path]: { autoLock } } }
+const watchesSlice = createSlice({
+  name: "watches",
+  initialState: {
+    byRepo: window.api.store.initial()["watches"] || {},
+  },
+  reducers: {
+    watchFile(state, action) {
+      const { repoid, path, autoLock = false } = action.payload;
+      state.byRepo[repoid] = { ...state.byRepo[repoid], [path]: { autoLock } };
+    },
+    unwatchFiles(state, action) {
+      const { repoid, paths } = action.payload;
+      const watches = state.byRepo[repoid];
+      if (!watches) return;
+      paths.forEach(path => {
+        delete watches[path];
+      });
+    },
+  }
+});
+
+// Export actions
+export const { watchFile, unwatchFiles } = watchesSlice.actions;
+
+const persist = (getState) => {
+  window.api.store.send(writeConfigRequest, 'watches', getState().watches.byRepo);
+};
+
+// Start or update watching a file and persist the watches under "watches"
+export const saveWatch = (repoid, path, autoLock) => (dispatch, getState) => {
+  dispatch(watchFile({ repoid, path, autoLock }));
+  persist(getState);
+};
+
+export const removeWatches = (repoid, paths) => (dispatch, getState) => {
+  dispatch(unwatchFiles({ repoid, paths }));
+  persist(getState);
+};
+
+// Export reducer
+export default watchesSlice.reducer;
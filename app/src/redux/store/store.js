@@ -15,6 +15,7 @@ import reposReducer from "../components/repos/reposSlice";
 import errorsReducer from "../components/errors/errorsSlice";
 import filesReducer from "../components/files/filesSlice";
 import settingsReducer from "../components/settings/settingsSlice";
+import watchesReducer from "../components/watches/watchesSlice";
 
 const {
   routerMiddleware,
@@ -31,6 +32,7 @@ export const store = configureStore({
     errors: errorsReducer,
     files: filesReducer,
     settings: settingsReducer,
+    watches: watchesReducer,
   }),
   middleware: [...getDefaultMiddleware({
     serializableCheck: false
@@ -0,0 +1,59 @@
+const assert = require("assert");
+const { HINTS, commandError, serializeError } = require("../app/electron/errors");
+
+// Output of failed git and git-lfs commands, as the renderer receives it: [code, command, stderr]
+describe("Git errors", function () {
+  const cases = [
+    ["auth-failed", "git fetch", "remote: Invalid username or password.\nfatal: Authentication failed for 'https://github.com/acme/game.git/'"],
+    ["auth-failed", "git push", "fatal: could not read Username for 'https://github.com': terminal prompts disabled"],
+    ["auth-failed", "git fetch", "git@github.com: Permission denied (publickey).\nfatal: Could not read from remote repository."],
+    ["auth-failed", "git lfs locks", "batch response: Authorization error: https://github.com/acme/game.git/info/lfs/locks\nCheck that you have proper access to the repository (HTTP 403)"],
+    ["network", "git fetch", "fatal: unable to access 'https://github.com/acme/game.git/': Could not resolve host: github.com"],
+    ["network", "git push", "ssh: connect to host github.com port 22: Connection refused\nfatal: Could not read from remote repository."],
+    ["network", "git lfs lock", "Post \"https://github.com/acme/game.git/info/lfs/locks\": dial tcp 140.82.121.4:443: i/o timeout (timed out)"],
+    ["lfs-missing", "git lfs locks", "git: 'lfs' is not a git command. See 'git --help'."],
+    ["lfs-missing", "git lfs lock", "sh: 1: git-lfs: not found"],
+    ["locked-by-other", "git lfs lock", "Lock failed: Lock exists"],
+    ["locked-by-other", "git lfs lock", "Locking Art/hero.fbx failed: already locked by jane"],
+    ["locked-by-other", "git lfs unlock", "Unable to unlock Art/hero.fbx: owned by jane"],
+    ["not-admin", "git lfs unlock", "Cannot unlock Art/hero.fbx: you must be an admin to delete other users' locks"],
+    ["remote-not-found", "git fetch", "remote: Repository not found.\nfatal: repository 'https://github.com/acme/gone.git/' not found"],
+    ["not-a-repository", "git status", "fatal: not a git repository (or any of the parent directories): .git"],
+    ["unknown", "git commit", "error: pathspec 'nope' did not match any file(s) known to git"],
+  ];
+
+  cases.forEach(([code, command, stderr]) => {
+    it(`reads ${code} from "${stderr.split("\n")[0]}"`, function () {
+      const err = serializeError(commandError({ command, exitCode: 1, stderr, path: "Art/hero.fbx" }));
+
+      assert.deepStrictEqual(err, {
+        name: "GitError",
+        code,
+        message: stderr,
+        path: "Art/hero.fbx",
+        owner: undefined,
+        command,
+        exitCode: 1,
+        stderr,
+        hint: HINTS[code],
+      });
+    });
+  });
+
+  it("reads the missing program from a failed spawn", function () {
+    const spawnError = Object.assign(new Error("spawn git ENOENT"), { code: "ENOENT" });
+
+    assert.strictEqual(commandError({ command: "git lfs locks", spawnError }).code, "lfs-missing");
+    assert.strictEqual(commandError({ command: "git status", spawnError }).code, "git-missing");
+  });
+
+  it("falls back to stdout and then to the exit code for the message", function () {
+    assert.strictEqual(commandError({ command: "git lfs lock", exitCode: 2, stdout: "Lock exists\n" }).code, "locked-by-other");
+    assert.strictEqual(commandError({ command: "git status", exitCode: 128 }).message, "git status failed (128)");
+  });
+
+  it("passes other errors through as plain objects", function () {
+    assert.deepStrictEqual(serializeError(new TypeError("boom")), { name: "TypeError", message: "boom" });
+    assert.strictEqual(serializeError("boom"), "boom");
+  });
+});
@@ -0,0 +1,177 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const assetsTip = require("../app/electron/git-assets-tip");
+const executables = require("../app/electron/executables");
+
+// Syncing from and publishing to the assets tip against a bare repository standing in for the remote.
+// A post-checkout hook plays the teammate who pushes to the tip between our fetch and our push.
+describe("Assets tip workflow", function () {
+  this.timeout(30000);
+
+  const identity = {
+    GIT_AUTHOR_NAME: "Test",
+    GIT_AUTHOR_EMAIL: "test@example.com",
+    GIT_COMMITTER_NAME: "Test",
+    GIT_COMMITTER_EMAIL: "test@example.com",
+  };
+  const git = (cwd, ...args) => execFileSync("git", args, { cwd, env: { ...process.env, ...identity } }).toString().trim();
+  const write = (file, content, mode) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content, { mode });
+  };
+
+  let tmp, remote, work, mate, savedEnv;
+
+  before(function () {
+    if (process.platform === "win32") {
+      this.skip();
+    }
+    savedEnv = { ...process.env };
+    Object.assign(process.env, identity);
+    // Config given through the environment (e.g. core.hooksPath) would override the test repos' own
+    for (const key of Object.keys(process.env).filter(k => /^GIT_CONFIG_(COUNT|KEY_|VALUE_|PARAMETERS)/.test(k))) {
+      delete process.env[key];
+    }
+  });
+
+  after(function () {
+    if (savedEnv) {
+      process.env = savedEnv;
+    }
+  });
+
+  beforeEach(function () {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), "assets-tip-"));
+    remote = path.join(tmp, "remote.git");
+    work = path.join(tmp, "work");
+    mate = path.join(tmp, "mate");
+
+    git(tmp, "init", "-q", "--bare", remote);
+    git(tmp, "init", "-q", work);
+    write(path.join(work, ".gitattributes"), "*.bin lockable\n");
+    write(path.join(work, "a.bin"), "a1\n");
+    write(path.join(work, "b.bin"), "b1\n");
+    git(work, "add", "-A");
+    git(work, "commit", "-q", "-m", "Initial");
+    git(work, "remote", "add", "origin", remote);
+    git(work, "push", "-q", "origin", "HEAD:main", "HEAD:assets-tip");
+    git(tmp, "clone", "-q", "-b", "assets-tip", remote, mate);
+
+    // Our version of a.bin, still to be published
+    write(path.join(work, "a.bin"), "a2\n");
+    git(work, "commit", "-q", "-am", "Edit a.bin");
+
+    // Locking itself is not what is tested here: every lock and unlock succeeds and is logged,
+    // unless the "unlock-fails" file exists
+    const lfs = path.join(tmp, "bin", "git-lfs");
+    write(lfs, [
+      "#!/bin/sh",
+      `echo "$1 $2" >> "${tmp}/lfs.log"`,
+      `if [ "$1" = unlock ] && [ -f "${tmp}/unlock-fails" ]; then echo "unlock refused" >&2; exit 2; fi`,
+      `echo "{\\"id\\":\\"1\\",\\"path\\":\\"$2\\"}"`,
+      "",
+    ].join("\n"), 0o755);
+    executables.configure({ gitLfsPath: lfs });
+  });
+
+  afterEach(function () {
+    executables.configure({});
+    if (tmp) {
+      fs.rmSync(tmp, { recursive: true, force: true });
+    }
+  });
+
+  // The teammate's push happens once, while our first commit to the tip is being prepared
+  const teammatePushes = (file, content) => {
+    write(path.join(work, ".git", "hooks", "post-checkout"), [
+      "#!/bin/sh",
+      `[ -f "${tmp}/pushed" ] && exit 0`,
+      `touch "${tmp}/pushed"`,
+      "unset GIT_DIR GIT_WORK_TREE GIT_INDEX_FILE",
+      `cd "${mate}" || exit 1`,
+      `printf '${content}\\n' > ${file}`,
+      "git commit -q -am Teammate && git push -q origin HEAD:assets-tip",
+      "",
+    ].join("\n"), 0o755);
+  };
+
+  const onTip = (file) => git(work, "show", `origin/assets-tip:${file}`);
+
+  it("publishes again on top of a teammate's push to other files", async function () {
+    teammatePushes("b.bin", "b2");
+
+    const { ok, errors } = await assetsTip.unlockMany(work, ["a.bin"]);
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(ok.map(r => r.path), ["a.bin"]);
+    git(work, "fetch", "-q", "origin");
+    assert.strictEqual(onTip("a.bin"), "a2");
+    assert.strictEqual(onTip("b.bin"), "b2");
+  });
+
+  it("keeps the file locked when a teammate changed it on the tip", async function () {
+    teammatePushes("a.bin", "a3");
+
+    const { ok, errors } = await assetsTip.unlockMany(work, ["a.bin"]);
+
+    assert.deepStrictEqual(ok, []);
+    assert.deepStrictEqual(errors.map(e => [e.path, e.code]), [["a.bin", "tip-conflict"]]);
+    git(work, "fetch", "-q", "origin");
+    assert.strictEqual(onTip("a.bin"), "a3");
+  });
+
+  it("carries out the reviewed plan instead of planning again", async function () {
+    const plan = await assetsTip.planUnlock(work, ["a.bin"]);
+    // The teammate pushes between the review and its confirmation
+    write(path.join(mate, "a.bin"), "a3\n");
+    git(mate, "commit", "-q", "-am", "Teammate");
+    git(mate, "push", "-q", "origin", "HEAD:assets-tip");
+
+    const { ok, errors } = await assetsTip.unlockMany(work, ["a.bin"], { plan });
+
+    assert.deepStrictEqual(ok, []);
+    assert.deepStrictEqual(errors.map(e => [e.path, e.code]), [["a.bin", "tip-conflict"]]);
+  });
+
+  // The tip has another a.bin than HEAD, so locking it syncs it from the tip in a commit we make fail
+  const syncCommitFails = () => {
+    write(path.join(work, ".git", "hooks", "pre-commit"), "#!/bin/sh\necho 'sync refused' >&2\nexit 1\n", 0o755);
+  };
+  const lfsCalls = () => fs.readFileSync(path.join(tmp, "lfs.log"), "utf8").trim().split("\n");
+
+  it("gives the lock back and restores the file when the sync fails", async function () {
+    syncCommitFails();
+
+    const { ok, errors } = await assetsTip.lockMany(work, ["a.bin"]);
+
+    assert.deepStrictEqual(ok, []);
+    assert.deepStrictEqual(errors.map(e => e.path), ["a.bin"]);
+    assert.match(errors[0].message, /sync refused/);
+    assert.deepStrictEqual(lfsCalls(), ["lock a.bin", "unlock a.bin"]);
+    assert.strictEqual(fs.readFileSync(path.join(work, "a.bin"), "utf8"), "a2\n");
+    assert.strictEqual(git(work, "status", "--porcelain"), "");
+  });
+
+  it("reports a lock that could not be given back after the sync failed", async function () {
+    syncCommitFails();
+    write(path.join(tmp, "unlock-fails"), "");
+
+    const { ok, errors } = await assetsTip.lockMany(work, ["a.bin"]);
+
+    assert.deepStrictEqual(ok.map(r => r.path), ["a.bin"]);
+    assert.deepStrictEqual(errors.map(e => [e.path, e.code]), [["a.bin", "still-locked"]]);
+    assert.match(errors[0].message, /sync refused[\s\S]*unlock refused/);
+    assert.strictEqual(fs.readFileSync(path.join(work, "a.bin"), "utf8"), "a2\n");
+  });
+
+  it("does not retry a push refused by a hook", async function () {
+    const attempts = path.join(tmp, "attempts");
+    write(path.join(remote, "hooks", "pre-receive"), `#!/bin/sh\necho attempt >> "${attempts}"\nexit 1\n`, 0o755);
+
+    await assert.rejects(assetsTip.unlockMany(work, ["a.bin"]), /pre-receive hook declined/);
+    assert.strictEqual(fs.readFileSync(attempts, "utf8").trim().split("\n").length, 1);
+  });
+});
@@ -0,0 +1,65 @@
+const assert = require("assert");
+const path = require("path");
+const Module = require("module");
+const { transformFileSync } = require("@babel/core");
+
+// The renderer code is an ES module built by webpack; babel turns it into CommonJS with the app's own config
+function loadRendererModule(file) {
+  const filename = path.join(__dirname, "..", file);
+  const { code } = transformFileSync(filename);
+  const loaded = new Module(filename, module);
+  loaded.filename = filename;
+  loaded.paths = Module._nodeModulePaths(path.dirname(filename));
+  loaded._compile(code, filename);
+  return loaded.exports;
+}
+
+const { globToRegExp } = loadRendererModule("app/src/core/utils.js");
+
+// Pattern selection of the file list: [pattern, path, whether it matches]
+describe("globToRegExp", function () {
+  const cases = [
+    // "*" stays within a folder
+    ["*.fbx", "hero.fbx", true],
+    ["Characters/*.fbx", "Characters/hero.fbx", true],
+    ["Characters/*.fbx", "Characters/Hero/hero.fbx", false],
+    ["Char*/hero.fbx", "Characters/hero.fbx", true],
+    ["Char*/hero.fbx", "Char/acters/hero.fbx", false],
+    // without a "/" the file name is matched in any folder
+    ["*.fbx", "Characters/Hero/hero.fbx", true],
+    ["hero.fbx", "Characters/hero.fbx", true],
+    ["hero.fbx", "Characters/superhero.fbx", false],
+    // "**" crosses folders, "**/" also matches no folder at all
+    ["Characters/**/*.fbx", "Characters/hero.fbx", true],
+    ["Characters/**/*.fbx", "Characters/Hero/Rig/hero.fbx", true],
+    ["Characters/**/*.fbx", "Props/hero.fbx", false],
+    ["Characters/**", "Characters/Hero/hero.fbx", true],
+    ["**/Rig/*.fbx", "Rig/hero.fbx", true],
+    ["**/Rig/*.fbx", "Characters/Hero/Rig/hero.fbx", true],
+    // "?" is one character, never a "/"
+    ["hero?.fbx", "hero1.fbx", true],
+    ["hero?.fbx", "hero12.fbx", false],
+    ["Characters?hero.fbx", "Characters/hero.fbx", false],
+    // brackets are not character classes, they are matched as they are
+    ["hero[12].fbx", "hero[12].fbx", true],
+    ["hero[12].fbx", "hero1.fbx", false],
+    // other regular expression characters are plain characters too
+    ["hero.fbx", "heroXfbx", false],
+    ["a+b (1).fbx", "a+b (1).fbx", true],
+    ["a+b (1).fbx", "aab 1.fbx", false],
+    ["$cost^{2}|x.psd", "$cost^{2}|x.psd", true],
+    ["back\\slash.png", "back\\slash.png", true],
+    // leading slashes and surrounding spaces are ignored, case too
+    ["/Characters/*.fbx", "Characters/hero.fbx", true],
+    ["  *.FBX ", "Characters/hero.fbx", true],
+    // the whole path has to match
+    ["Characters/*.fbx", "Old/Characters/hero.fbx", false],
+    ["*.fbx", "hero.fbx.bak", false],
+  ];
+
+  cases.forEach(([pattern, filePath, expected]) => {
+    it(`${expected ? "matches" : "does not match"} ${filePath} with ${pattern}`, function () {
+      assert.strictEqual(globToRegExp(pattern).test(filePath), expected);
+    });
+  });
+});
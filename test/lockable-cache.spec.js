@@ -0,0 +1,100 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { stateKey } = require("../app/electron/lockable-cache");
+
+// The cached lockable files are only used while the state key stays the same,
+// so it has to change with everything a new scan could find other files from
+describe("Lockable files cache key", function () {
+  this.timeout(30000);
+
+  const identity = {
+    GIT_AUTHOR_NAME: "Test",
+    GIT_AUTHOR_EMAIL: "test@example.com",
+    GIT_COMMITTER_NAME: "Test",
+    GIT_COMMITTER_EMAIL: "test@example.com",
+  };
+  const git = (cwd, ...args) => execFileSync("git", args, { cwd, env: { ...process.env, ...identity } }).toString().trim();
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  };
+
+  let tmp, work, lib;
+
+  beforeEach(function () {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), "lockable-cache-"));
+    work = path.join(tmp, "work");
+    lib = path.join(tmp, "lib");
+
+    git(tmp, "init", "-q", lib);
+    write(path.join(lib, "lib.bin"), "1\n");
+    git(lib, "add", "-A");
+    git(lib, "commit", "-q", "-m", "Lib");
+
+    git(tmp, "init", "-q", work);
+    write(path.join(work, ".gitattributes"), "*.bin lockable\n");
+    write(path.join(work, "Art", ".gitattributes"), "*.psd lockable\n");
+    write(path.join(work, "a.bin"), "a1\n");
+    git(work, "add", "-A");
+    git(work, "-c", "protocol.file.allow=always", "submodule", "add", "-q", lib, "lib");
+    git(work, "commit", "-q", "-m", "Initial");
+  });
+
+  afterEach(function () {
+    if (tmp) {
+      fs.rmSync(tmp, { recursive: true, force: true });
+    }
+  });
+
+  it("stays the same while nothing changes", async function () {
+    assert.strictEqual(await stateKey(work), await stateKey(work));
+  });
+
+  it("changes with a new HEAD", async function () {
+    const before = await stateKey(work);
+    git(work, "commit", "-q", "--allow-empty", "-m", "Empty");
+
+    assert.notStrictEqual(await stateKey(work), before);
+  });
+
+  it("changes with the index", async function () {
+    write(path.join(work, "b.bin"), "b1\n");
+    const before = await stateKey(work);
+    git(work, "add", "b.bin");
+
+    assert.notStrictEqual(await stateKey(work), before);
+  });
+
+  it("changes with an uncommitted edit of .gitattributes", async function () {
+    const before = await stateKey(work);
+    write(path.join(work, ".gitattributes"), "*.bin lockable\n*.fbx lockable\n");
+
+    assert.notStrictEqual(await stateKey(work), before);
+  });
+
+  it("changes with the .gitattributes of a folder", async function () {
+    const before = await stateKey(work);
+    write(path.join(work, "Art", ".gitattributes"), "*.psd -lockable\n");
+
+    assert.notStrictEqual(await stateKey(work), before);
+  });
+
+  it("changes with .git/info/attributes", async function () {
+    const before = await stateKey(work);
+    write(path.join(work, ".git", "info", "attributes"), "*.fbx lockable\n");
+
+    assert.notStrictEqual(await stateKey(work), before);
+  });
+
+  it("changes with the commit checked out in a submodule", async function () {
+    write(path.join(lib, "lib.bin"), "2\n");
+    git(lib, "commit", "-q", "-am", "Lib 2");
+    const before = await stateKey(work);
+    git(path.join(work, "lib"), "pull", "-q");
+
+    assert.notStrictEqual(await stateKey(work), before);
+  });
+});